@@ -1,12 +1,20 @@
 // craco.config.js
 const path = require("path");
 require("dotenv").config();
+const site = require("./src/data/site.json");
 
 // Environment variable overrides
 const config = {
   disableHotReload: process.env.DISABLE_HOT_RELOAD === "true",
   enableVisualEdits: process.env.REACT_APP_ENABLE_VISUAL_EDITS === "true",
   enableHealthCheck: process.env.ENABLE_HEALTH_CHECK === "true",
+  blogWordsPerMinute: Number(process.env.BLOG_WORDS_PER_MINUTE) || undefined,
+  blogCodeWordsPerMinute: Number(process.env.BLOG_CODE_WORDS_PER_MINUTE) || undefined,
+  siteUrl: process.env.REACT_APP_SITE_URL || site.url,
+  // Build-time only (no REACT_APP_ prefix): ship drafts and scheduled posts
+  // in a preview build, where they open with ?preview=REACT_APP_BLOG_PREVIEW_TOKEN.
+  // Keep such builds off the public site.
+  blogPreview: process.env.BLOG_PREVIEW === "true",
 };
 
 // Conditionally load visual editing modules only if enabled
@@ -29,7 +37,75 @@ if (config.enableHealthCheck) {
   healthPluginInstance = new WebpackHealthPlugin();
 }
 
+const blogsDir = path.resolve(__dirname, "public/blogs");
+const readingSpeed = {
+  ...(config.blogWordsPerMinute && { wordsPerMinute: config.blogWordsPerMinute }),
+  ...(config.blogCodeWordsPerMinute && { codeWordsPerMinute: config.blogCodeWordsPerMinute }),
+};
+
+// Blog content manifest built from the posts in public/blogs
+const WebpackBlogManifestPlugin = require("./plugins/blog-manifest/webpack-blog-manifest-plugin");
+const blogManifestPluginInstance = new WebpackBlogManifestPlugin({
+  blogsDir,
+  outputFile: path.resolve(__dirname, "src/generated/blog-manifest.json"),
+  readingSpeed,
+  includeDrafts: config.blogPreview,
+});
+
+// Full-text search index over the post bodies, loaded lazily by the blog page
+const WebpackBlogSearchPlugin = require("./plugins/blog-search/webpack-blog-search-plugin");
+const blogSearchPluginInstance = new WebpackBlogSearchPlugin({
+  blogsDir,
+  outputFile: path.resolve(__dirname, "src/generated/search-index.json"),
+});
+
+// RSS, Atom and JSON feeds for the blog, site-wide and per tag
+const WebpackBlogFeedsPlugin = require("./plugins/blog-feeds/webpack-blog-feeds-plugin");
+const blogFeedsPluginInstance = new WebpackBlogFeedsPlugin({
+  blogsDir,
+  site,
+  siteUrl: config.siteUrl,
+  readingSpeed,
+});
+
+// sitemap.xml and robots.txt from the app's routes and live posts
+const WebpackSitemapPlugin = require("./plugins/sitemap/webpack-sitemap-plugin");
+const sitemapPluginInstance = new WebpackSitemapPlugin({
+  routes: require("./src/data/routes.json"),
+  blogsDir,
+  siteUrl: config.siteUrl,
+});
+
+// Static HTML for every public page, rendered after production builds
+const WebpackPrerenderPlugin = require("./plugins/prerender/webpack-prerender-plugin");
+
+// The unified ecosystem (react-markdown, remark, rehype and their helpers)
+// ships ESM only; Jest has to transpile it like app code.
+const ESM_PACKAGES = [
+  "bail", "ccount", "character-.+", "comma-separated-tokens", "decode-named-character-reference",
+  "devlop", "escape-string-regexp", "estree-util-.+", "hast-util-.+", "hastscript", "html-url-attributes",
+  "html-void-elements", "is-.+", "longest-streak", "lowlight", "markdown-table", "mdast-util-.+",
+  "micromark.*", "parse-entities", "parse5", "property-information", "react-markdown",
+  "rehype-.+", "remark-.+", "space-separated-tokens", "stringify-entities", "trim-lines",
+  "trough", "unified", "unist-util-.+", "vfile.*", "web-namespaces", "zwitch",
+];
+
 const webpackConfig = {
+  jest: {
+    configure: (jestConfig) => ({
+      ...jestConfig,
+      transformIgnorePatterns: [
+        `node_modules/(?!(${ESM_PACKAGES.join("|")})/)`,
+        ...jestConfig.transformIgnorePatterns.filter(pattern => !pattern.includes("node_modules")),
+      ],
+      // Jest 27 resolves neither package.json "imports" nor subpath "exports"
+      moduleNameMapper: {
+        ...jestConfig.moduleNameMapper,
+        "^#(minpath|minproc|minurl)$": "vfile/lib/$1.browser.js",
+        "^unist-util-visit-parents/do-not-use-color$": "unist-util-visit-parents/lib/color.js",
+      },
+    }),
+  },
   webpack: {
     alias: {
       '@': path.resolve(__dirname, 'src'),
@@ -63,6 +139,20 @@ const webpackConfig = {
         };
       }
 
+      // Generate the blog manifest before every compilation
+      webpackConfig.plugins.push(blogManifestPluginInstance);
+      webpackConfig.plugins.push(blogSearchPluginInstance);
+      webpackConfig.plugins.push(blogFeedsPluginInstance);
+      webpackConfig.plugins.push(sitemapPluginInstance);
+
+      // The server build reuses this config, so the plugin is created last
+      webpackConfig.plugins.push(new WebpackPrerenderPlugin({
+        clientConfig: webpackConfig,
+        entry: path.resolve(__dirname, "src/entry-server.js"),
+        routes: require("./src/data/routes.json"),
+        blogsDir,
+      }));
+
       // Add health check plugin to webpack if enabled
       if (config.enableHealthCheck && healthPluginInstance) {
         webpackConfig.plugins.push(healthPluginInstance);
@@ -0,0 +1,100 @@
+// plugins/blog-feeds/feeds.js
+// Serialises a feed description into RSS 2.0, Atom 1.0 and JSON Feed 1.1.
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// "]]>" would end the CDATA section early, so it is split across two sections.
+const cdata = (value) => `<![CDATA[${String(value).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+/**
+ * `feed` is { title, description, language, author, homeUrl, urls: { rss, atom, json }, updated, items }
+ * and each item is { id, url, title, summary, html, published, updated, tags }.
+ * Dates are ISO 8601 strings.
+ */
+function buildRss(feed) {
+  const items = feed.items.map((item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+      <description>${escapeXml(item.summary)}</description>
+${item.tags.map((tag) => `      <category>${escapeXml(tag)}</category>\n`).join("")}      <content:encoded>${cdata(item.html)}</content:encoded>
+    </item>
+`).join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>${escapeXml(feed.language)}</language>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="application/rss+xml" />
+${items}  </channel>
+</rss>
+`;
+}
+
+function buildAtom(feed) {
+  const entries = feed.items.map((item) => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.url)}" />
+    <id>${escapeXml(item.url)}</id>
+    <published>${item.published}</published>
+    <updated>${item.updated}</updated>
+    <summary>${escapeXml(item.summary)}</summary>
+${item.tags.map((tag) => `    <category term="${escapeXml(tag)}" />\n`).join("")}    <content type="html">${escapeXml(item.html)}</content>
+  </entry>
+`).join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.homeUrl)}" />
+  <link href="${escapeXml(feed.urls.atom)}" rel="self" type="application/atom+xml" />
+  <id>${escapeXml(feed.urls.atom)}</id>
+  <updated>${feed.updated}</updated>
+  <author>
+    <name>${escapeXml(feed.author)}</name>
+  </author>
+${entries}</feed>
+`;
+}
+
+function buildJsonFeed(feed) {
+  const json = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.urls.json,
+    description: feed.description,
+    language: feed.language,
+    authors: [{ name: feed.author }],
+    items: feed.items.map((item) => ({
+      id: item.url,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.html,
+      date_published: item.published,
+      date_modified: item.updated,
+      tags: item.tags,
+    })),
+  };
+
+  return `${JSON.stringify(json, null, 2)}\n`;
+}
+
+module.exports = {
+  buildAtom,
+  buildJsonFeed,
+  buildRss,
+};
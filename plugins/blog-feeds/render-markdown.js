@@ -0,0 +1,157 @@
+// plugins/blog-feeds/render-markdown.js
+// Renders post markdown to static HTML for feed readers at build time. It
+// parses posts like BlogPostPage (GFM, math, directives, callouts) but swaps
+// the site's interactive pieces for plain markup: math is output as MathML,
+// since feed readers do not load KaTeX's stylesheet and fonts, and raw HTML
+// goes through rehype-sanitize's default schema, so feeds carry no embeds.
+// Links and images are made absolute, as feed readers have no page to
+// resolve them against.
+const { remarkCallouts } = require("../../src/lib/callouts");
+
+let processorPromise = null;
+
+/**
+ * Callouts are alerts on the site (see src/lib/callouts.js). In feeds they
+ * stay blockquotes, opened by their type in bold where the site shows a title.
+ */
+function remarkFeedCallouts() {
+  return (tree) => {
+    const visit = (node) => {
+      const type = node.type === "blockquote" && node.data && node.data.hProperties
+        && node.data.hProperties.dataCallout;
+      if (type) {
+        const title = `${type.charAt(0).toUpperCase()}${type.slice(1)}`;
+        node.children.unshift({
+          type: "paragraph",
+          children: [{ type: "strong", children: [{ type: "text", value: title }] }],
+        });
+      }
+      (node.children || []).forEach(visit);
+    };
+    visit(tree);
+  };
+}
+
+/**
+ * Shortcodes are interactive on the site (see src/lib/directives.js). Feeds
+ * get their content instead: :::details stays collapsible, other blocks keep
+ * their content, leaf shortcodes such as ::project are dropped, and text
+ * directives are put back as the text they were written as.
+ */
+function remarkFeedDirectives() {
+  return (tree, file) => {
+    const visit = (node) => {
+      node.children = (node.children || []).flatMap((child) => {
+        if (child.type === "textDirective") {
+          const { start, end } = child.position;
+          return [{ type: "text", value: String(file.value).slice(start.offset, end.offset) }];
+        }
+        if (child.type === "leafDirective") {
+          return [];
+        }
+        if (child.type === "containerDirective") {
+          const label = child.children.find((grandchild) => grandchild.data && grandchild.data.directiveLabel);
+          const content = child.children.filter((grandchild) => grandchild !== label);
+          if (child.name === "details") {
+            const summary = {
+              type: "paragraph",
+              data: { hName: "summary" },
+              children: label ? label.children : [{ type: "text", value: "Details" }],
+            };
+            child.children = [summary, ...content];
+            child.data = { hName: "details" };
+          } else {
+            child.children = content;
+            child.data = { hName: "div" };
+          }
+        }
+        visit(child);
+        return [child];
+      });
+    };
+    visit(tree);
+  };
+}
+
+const URL_ATTRIBUTES = ["href", "src", "poster"];
+
+// Resolves root-relative and fragment URLs (images under /blogs, footnote
+// links) against the post's URL on the site, passed in as `file.data.baseUrl`.
+function rehypeAbsoluteUrls() {
+  return (tree, file) => {
+    const { baseUrl } = file.data;
+    const visit = (node) => {
+      if (node.type === "element") {
+        for (const attribute of URL_ATTRIBUTES) {
+          const value = node.properties[attribute];
+          if (typeof value === "string" && value) {
+            node.properties[attribute] = new URL(value, baseUrl).href;
+          }
+        }
+      }
+      (node.children || []).forEach(visit);
+    };
+    visit(tree);
+  };
+}
+
+// The unified ecosystem is ESM-only, so it is loaded lazily from this CommonJS module.
+async function createProcessor() {
+  const [
+    { unified },
+    { default: remarkParse },
+    { default: remarkGfm },
+    { default: remarkMath },
+    { default: remarkDirective },
+    { default: remarkRehype },
+    { default: rehypeKatex },
+    { default: rehypeRaw },
+    { default: rehypeSanitize },
+    { default: rehypeHighlight },
+    { default: rehypeStringify },
+  ] = await Promise.all([
+    import("unified"),
+    import("remark-parse"),
+    import("remark-gfm"),
+    import("remark-math"),
+    import("remark-directive"),
+    import("remark-rehype"),
+    import("rehype-katex"),
+    import("rehype-raw"),
+    import("rehype-sanitize"),
+    import("rehype-highlight"),
+    import("rehype-stringify"),
+  ]);
+
+  return unified()
+    .use(remarkParse)
+    .use(remarkGfm)
+    .use(remarkMath)
+    .use(remarkDirective)
+    .use(remarkFeedDirectives)
+    .use(remarkCallouts)
+    .use(remarkFeedCallouts)
+    .use(remarkRehype, { allowDangerousHtml: true })
+    .use(rehypeRaw)
+    .use(rehypeSanitize)
+    .use(rehypeKatex, { output: "mathml" })
+    .use(rehypeHighlight, { plainText: ["math"] })
+    .use(rehypeAbsoluteUrls)
+    .use(rehypeStringify);
+}
+
+/**
+ * Renders `markdown` to HTML, with every link and image resolved against
+ * `baseUrl`, the absolute URL of the post on the site.
+ */
+async function renderMarkdown(markdown, { baseUrl }) {
+  if (!processorPromise) {
+    processorPromise = createProcessor();
+  }
+  const processor = await processorPromise;
+  return String(await processor.process({ value: markdown, data: { baseUrl } }));
+}
+
+module.exports = {
+  renderMarkdown,
+};
@@ -0,0 +1,126 @@
+// plugins/blog-feeds/webpack-blog-feeds-plugin.js
+// Emits /rss.xml, /atom.xml and /feed.json, plus the same three under
+// /tags/<tag>/ for every tag, from the published posts in public/blogs.
+const { loadPosts, isPostLive, slugifyTag } = require("../blog-manifest/build-blog-manifest");
+const { FrontmatterError } = require("../blog-manifest/frontmatter");
+const { renderMarkdown } = require("./render-markdown");
+const { buildAtom, buildJsonFeed, buildRss } = require("./feeds");
+
+const PLUGIN_NAME = "BlogFeedsPlugin";
+
+const FEED_FILES = {
+  rss: { file: "rss.xml", build: buildRss },
+  atom: { file: "atom.xml", build: buildAtom },
+  json: { file: "feed.json", build: buildJsonFeed },
+};
+
+// Posts carry a calendar date; `publishAt`, when set, is the more precise time.
+const publishedAt = (post) => post.publishAt || new Date(`${post.date}T00:00:00Z`).toISOString();
+
+const updatedAt = (post) =>
+  (post.updated ? new Date(`${post.updated}T00:00:00Z`).toISOString() : publishedAt(post));
+
+class WebpackBlogFeedsPlugin {
+  constructor({ blogsDir, site, siteUrl, readingSpeed }) {
+    this.blogsDir = blogsDir;
+    this.site = site;
+    this.siteUrl = siteUrl.replace(/\/+$/, "");
+    this.readingSpeed = readingSpeed;
+  }
+
+  async buildItems() {
+    const posts = loadPosts(this.blogsDir, { readingSpeed: this.readingSpeed })
+      .filter((post) => isPostLive(post));
+
+    return Promise.all(posts.map(async (post) => {
+      const url = `${this.siteUrl}/blog/${post.id}`;
+      return {
+        id: post.id,
+        url,
+        title: post.title,
+        summary: post.excerpt,
+        html: await renderMarkdown(post.body, { baseUrl: url }),
+        published: publishedAt(post),
+        updated: updatedAt(post),
+        tags: post.tags,
+      };
+    }));
+  }
+
+  describeFeed({ title, description, homeUrl, basePath, items }) {
+    const urls = Object.fromEntries(
+      Object.entries(FEED_FILES).map(([format, { file }]) => [format, `${this.siteUrl}/${basePath}${file}`]),
+    );
+
+    return {
+      title,
+      description,
+      homeUrl,
+      urls,
+      language: this.site.language,
+      author: this.site.author,
+      updated: items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0).toISOString()),
+      items,
+    };
+  }
+
+  async emitFeeds(compilation) {
+    const { RawSource } = compilation.compiler.webpack.sources;
+    const items = await this.buildItems();
+    const { blog } = this.site;
+
+    const feeds = [
+      {
+        basePath: "",
+        feed: this.describeFeed({
+          title: blog.title,
+          description: blog.description,
+          homeUrl: `${this.siteUrl}/blog`,
+          basePath: "",
+          items,
+        }),
+      },
+    ];
+
+    const tags = [...new Set(items.flatMap((item) => item.tags))];
+    for (const tag of tags) {
+      const basePath = `tags/${slugifyTag(tag)}/`;
+      feeds.push({
+        basePath,
+        feed: this.describeFeed({
+          title: `${blog.title}: ${tag}`,
+          description: `Articles tagged ${tag}. ${blog.description}`,
+          homeUrl: `${this.siteUrl}/blog/tag/${slugifyTag(tag)}`,
+          basePath,
+          items: items.filter((item) => item.tags.includes(tag)),
+        }),
+      });
+    }
+
+    for (const { basePath, feed } of feeds) {
+      for (const { file, build } of Object.values(FEED_FILES)) {
+        compilation.emitAsset(`${basePath}${file}`, new RawSource(build(feed)));
+      }
+    }
+  }
+
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      compilation.hooks.processAssets.tapPromise(
+        { name: PLUGIN_NAME, stage: compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL },
+        async () => {
+          try {
+            await this.emitFeeds(compilation);
+          } catch (error) {
+            // Bad frontmatter is already reported by the blog manifest plugin.
+            if (!(error instanceof FrontmatterError)) {
+              compilation.errors.push(new Error(`[blog-feeds] ${error.message}`));
+            }
+          }
+        },
+      );
+    });
+  }
+}
+
+module.exports = WebpackBlogFeedsPlugin;
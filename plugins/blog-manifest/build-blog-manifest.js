@@ -0,0 +1,111 @@
+// plugins/blog-manifest/build-blog-manifest.js
+// Builds the blog content manifest from the markdown files in public/blogs.
+const fs = require("fs");
+const path = require("path");
+const { FrontmatterError, parsePost } = require("./frontmatter");
+const { analyzeMarkdown, hashContent } = require("./content-stats");
+const { readImageSizes } = require("./image-sizes");
+// Shared with the app; build-time outputs use it to leave out drafts and
+// posts scheduled after the build.
+const { isPostLive } = require("../../src/lib/publishing");
+
+// URL-safe form of a tag name, e.g. "System Design" -> "system-design".
+function slugifyTag(tag) {
+  return tag
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s-]/gu, "")
+    .replace(/\s+/g, "-");
+}
+
+/**
+ * Reads every post in `blogsDir`, newest first, each with its markdown `body`.
+ * The slug is the file name without its .md extension. Image sources are
+ * URL paths, resolved against the public directory that holds `blogsDir`.
+ */
+function loadPosts(blogsDir, { readingSpeed } = {}) {
+  const files = fs
+    .readdirSync(blogsDir)
+    .filter((file) => file.endsWith(".md"))
+    .sort();
+
+  const posts = files.map((file) => {
+    const source = fs.readFileSync(path.join(blogsDir, file), "utf8");
+    const displayPath = path.join(path.basename(blogsDir), file);
+    const { meta, body } = parsePost(displayPath, source);
+    const images = readImageSizes(displayPath, body, path.dirname(blogsDir));
+
+    return {
+      id: path.basename(file, ".md"),
+      ...meta,
+      ...analyzeMarkdown(body, readingSpeed),
+      ...(Object.keys(images).length > 0 && { images }),
+      markdownFile: file,
+      hash: hashContent(source),
+      body,
+    };
+  });
+
+  const slugs = new Set(posts.map((post) => post.id));
+  for (const post of posts) {
+    const missing = (post.related || []).filter((slug) => !slugs.has(slug));
+    if (missing.length > 0) {
+      throw new FrontmatterError(
+        path.join(path.basename(blogsDir), post.markdownFile),
+        `\`related\` references unknown posts: ${missing.join(", ")}`,
+      );
+    }
+  }
+
+  return posts.sort((a, b) => b.date.localeCompare(a.date) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Builds the manifest bundled into the app: every live post without its body,
+ * plus the slug of every tag in use. Drafts and scheduled posts are left out,
+ * since everything in the bundle is public, unless `includeDrafts` is set for
+ * a preview build.
+ */
+function buildBlogManifest(blogsDir, { includeDrafts = false, ...options } = {}) {
+  const posts = loadPosts(blogsDir, options)
+    .filter((post) => includeDrafts || isPostLive(post))
+    .map(({ body, ...post }) => post);
+  const tagNames = [...new Set(posts.flatMap((post) => post.tags))].sort();
+  const tags = tagNames.map((name) => ({ name, slug: slugifyTag(name) }));
+
+  // Tag slugs become URLs (feeds, tag pages), so two tags must not share one.
+  const seen = new Map();
+  for (const tag of tags) {
+    if (seen.has(tag.slug)) {
+      throw new Error(`tags "${seen.get(tag.slug)}" and "${tag.name}" both map to the slug "${tag.slug}"`);
+    }
+    seen.set(tag.slug, tag.name);
+  }
+
+  return { posts, tags };
+}
+
+/**
+ * Writes generated data (the manifest, the search index) as JSON, skipping the
+ * write when nothing changed so the dev server's watcher does not loop on its
+ * own output.
+ */
+function writeJsonIfChanged(data, outputFile) {
+  const json = `${JSON.stringify(data, null, 2)}\n`;
+
+  if (fs.existsSync(outputFile) && fs.readFileSync(outputFile, "utf8") === json) {
+    return false;
+  }
+
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  fs.writeFileSync(outputFile, json);
+  return true;
+}
+
+module.exports = {
+  buildBlogManifest,
+  isPostLive,
+  loadPosts,
+  slugifyTag,
+  writeJsonIfChanged,
+};
@@ -0,0 +1,100 @@
+// plugins/blog-manifest/content-stats.js
+// Derives word count, heading outline and reading time from a post's markdown body.
+const crypto = require("crypto");
+
+// Code is read far more slowly than prose, so it gets its own, lower rate.
+const DEFAULT_READING_SPEED = {
+  wordsPerMinute: 200,
+  codeWordsPerMinute: 100,
+};
+
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+
+// Reduces inline markdown to the text a reader actually sees.
+function toPlainText(markdown) {
+  return markdown
+    // Shortcode fences (:::tabs, ::project{id="..."}) keep only their [label]
+    .replace(/^[ \t]*:{2,}[\w-]*(?:\[([^\]\n]*)\])?(?:\{[^}\n]*\})?[ \t]*$/gm, "$1")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/`([^`]*)`/g, "$1")
+    .replace(/\*\*(?=\S)(.+?)\*\*/g, "$1")
+    .replace(/\*(?=\S)(.+?)\*/g, "$1")
+    // Underscores only emphasise at word boundaries, so TCP_NODELAY stays intact.
+    .replace(/(^|\W)(__?)(?=\S)(.+?)\2(?=\W|$)/g, "$1$3")
+    .replace(/~~(.+?)~~/g, "$1")
+    .trim();
+}
+
+function countWords(text) {
+  const words = text.match(/[\p{L}\p{N}][\p{L}\p{N}'’._-]*/gu);
+  return words ? words.length : 0;
+}
+
+/**
+ * Splits the body into prose and fenced code, skipping headings that only
+ * look like headings because they sit inside a code block.
+ * `readingSpeed` overrides any of the DEFAULT_READING_SPEED rates.
+ */
+function analyzeMarkdown(body, readingSpeed = {}) {
+  const { wordsPerMinute, codeWordsPerMinute } = { ...DEFAULT_READING_SPEED, ...readingSpeed };
+  const outline = [];
+  const prose = [];
+  const code = [];
+  let fence = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    const fenceMatch = line.match(FENCE);
+    if (fenceMatch) {
+      if (fence === null) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1] === fence) {
+        fence = null;
+      }
+      continue;
+    }
+
+    if (fence !== null) {
+      code.push(line);
+      continue;
+    }
+
+    const headingMatch = line.match(HEADING);
+    if (headingMatch) {
+      outline.push({ depth: headingMatch[1].length, text: toPlainText(headingMatch[2]) });
+      prose.push(headingMatch[2]);
+      continue;
+    }
+
+    prose.push(line);
+  }
+
+  const proseWordCount = countWords(toPlainText(prose.join("\n")));
+  const codeWordCount = countWords(code.join("\n"));
+  const readingMinutes = Math.max(
+    1,
+    Math.ceil(proseWordCount / wordsPerMinute + codeWordCount / codeWordsPerMinute),
+  );
+
+  return {
+    wordCount: proseWordCount + codeWordCount,
+    codeWordCount,
+    readingMinutes,
+    readTime: `${readingMinutes} min read`,
+    outline,
+  };
+}
+
+// Short content hash, used to bust caches when a post's source changes.
+function hashContent(source) {
+  return crypto.createHash("sha256").update(source).digest("hex").slice(0, 12);
+}
+
+module.exports = {
+  DEFAULT_READING_SPEED,
+  analyzeMarkdown,
+  hashContent,
+  toPlainText,
+};
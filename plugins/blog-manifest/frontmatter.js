@@ -0,0 +1,111 @@
+// plugins/blog-manifest/frontmatter.js
+// Parses and validates the YAML frontmatter at the top of every post in public/blogs.
+const matter = require("gray-matter");
+
+class FrontmatterError extends Error {
+  constructor(file, message) {
+    super(`${file}: ${message}`);
+    this.name = "FrontmatterError";
+    this.file = file;
+  }
+}
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+
+// YAML turns an unquoted 2025-01-15 into a Date, while a quoted one stays a string.
+// Both are accepted and normalised to YYYY-MM-DD.
+function normalizeDate(value) {
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const parsed = new Date(`${value}T00:00:00Z`);
+    if (!Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value)) {
+      return value;
+    }
+  }
+  return null;
+}
+
+// `publishAt` may be a bare date or a full timestamp; it is stored as an ISO string.
+function normalizeTimestamp(value) {
+  const parsed = value instanceof Date ? value : new Date(typeof value === "string" ? value : NaN);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+}
+
+function validate(file, data) {
+  const errors = [];
+
+  if (!isNonEmptyString(data.title)) {
+    errors.push("`title` is required and must be a non-empty string");
+  }
+  if (!isNonEmptyString(data.excerpt)) {
+    errors.push("`excerpt` is required and must be a non-empty string");
+  }
+  if (normalizeDate(data.date) === null) {
+    errors.push("`date` is required and must be a valid YYYY-MM-DD date");
+  }
+  if (data.updated !== undefined) {
+    const updated = normalizeDate(data.updated);
+    if (updated === null) {
+      errors.push("`updated` must be a valid YYYY-MM-DD date when present");
+    } else if (normalizeDate(data.date) !== null && updated < normalizeDate(data.date)) {
+      errors.push("`updated` must not be earlier than `date`");
+    }
+  }
+  if (!Array.isArray(data.tags) || !data.tags.every(isNonEmptyString)) {
+    errors.push("`tags` is required and must be a list of non-empty strings");
+  }
+  if (typeof data.published !== "boolean") {
+    errors.push("`published` is required and must be true or false");
+  }
+  if (data.related !== undefined && (!Array.isArray(data.related) || !data.related.every(isNonEmptyString))) {
+    errors.push("`related` must be a list of post slugs when present");
+  }
+  if (data.publishAt !== undefined && normalizeTimestamp(data.publishAt) === null) {
+    errors.push("`publishAt` must be a valid date or ISO 8601 timestamp when present");
+  }
+
+  if (errors.length > 0) {
+    throw new FrontmatterError(file, `invalid frontmatter\n  - ${errors.join("\n  - ")}`);
+  }
+}
+
+/**
+ * Parses a markdown source into its validated metadata and body.
+ * Throws a FrontmatterError naming the file when the frontmatter is missing or malformed.
+ */
+function parsePost(file, source) {
+  let parsed;
+  try {
+    parsed = matter(source);
+  } catch (error) {
+    throw new FrontmatterError(file, `could not parse frontmatter (${error.reason || error.message})`);
+  }
+
+  if (Object.keys(parsed.data).length === 0) {
+    throw new FrontmatterError(file, "missing frontmatter block");
+  }
+
+  validate(file, parsed.data);
+
+  const { title, excerpt, date, updated, tags, published, publishAt, related } = parsed.data;
+  return {
+    meta: {
+      title: title.trim(),
+      excerpt: excerpt.trim(),
+      date: normalizeDate(date),
+      ...(updated !== undefined && { updated: normalizeDate(updated) }),
+      tags: tags.map((tag) => tag.trim()),
+      published,
+      ...(publishAt !== undefined && { publishAt: normalizeTimestamp(publishAt) }),
+      ...(related !== undefined && { related: related.map((slug) => slug.trim()) }),
+    },
+    body: parsed.content,
+  };
+}
+
+module.exports = {
+  FrontmatterError,
+  parsePost,
+};
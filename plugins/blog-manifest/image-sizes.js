@@ -0,0 +1,48 @@
+// plugins/blog-manifest/image-sizes.js
+// Reads the intrinsic size of every local image a post embeds, so the page can
+// give each <img> explicit dimensions and reserve its space before it loads.
+const fs = require("fs");
+const path = require("path");
+const { imageSize } = require("image-size");
+
+const FENCED_CODE = /^\s*(```|~~~)[^\n]*\n[\s\S]*?^\s*\1\s*$/gm;
+const MARKDOWN_IMAGE = /!\[[^\]]*\]\(\s*<?([^\s)>]+)/g;
+const HTML_IMAGE = /<img\b[^>]*?\ssrc=["']([^"']+)["']/gi;
+
+// Root-relative sources only; external images are sized by the browser.
+const isLocal = (src) => src.startsWith("/") && !src.startsWith("//");
+
+function findImageSources(body) {
+  const markdown = body.replace(FENCED_CODE, "");
+  const sources = [...markdown.matchAll(MARKDOWN_IMAGE), ...markdown.matchAll(HTML_IMAGE)].map(
+    (match) => match[1],
+  );
+  return [...new Set(sources)].filter(isLocal);
+}
+
+/**
+ * Maps each local image source in `body` to its { width, height }. Sources
+ * are URL paths under `publicDir`; a missing file is an error, since the post
+ * would render a broken image.
+ */
+function readImageSizes(file, body, publicDir) {
+  const sizes = {};
+
+  for (const src of findImageSources(body)) {
+    const imagePath = path.join(publicDir, decodeURI(src.split(/[?#]/)[0]));
+    if (!fs.existsSync(imagePath)) {
+      throw new Error(`${file}: image not found: ${src}`);
+    }
+    const { width, height } = imageSize(fs.readFileSync(imagePath));
+    if (width && height) {
+      sizes[src] = { width, height };
+    }
+  }
+
+  return sizes;
+}
+
+module.exports = {
+  findImageSources,
+  readImageSizes,
+};
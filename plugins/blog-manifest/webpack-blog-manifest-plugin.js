@@ -0,0 +1,95 @@
+// plugins/blog-manifest/webpack-blog-manifest-plugin.js
+// Regenerates src/generated/blog-manifest.json from public/blogs before every compilation.
+// Unless drafts are included, production builds also delete the markdown of
+// drafts and scheduled posts from the copy of public/ in the output directory.
+const fs = require("fs");
+const path = require("path");
+const { buildBlogManifest, isPostLive, loadPosts, writeJsonIfChanged } = require("./build-blog-manifest");
+
+const PLUGIN_NAME = "BlogManifestPlugin";
+const WATCH_DEBOUNCE_MS = 100;
+
+class WebpackBlogManifestPlugin {
+  constructor({ blogsDir, outputFile, readingSpeed, includeDrafts = false }) {
+    this.blogsDir = blogsDir;
+    this.outputFile = outputFile;
+    this.readingSpeed = readingSpeed;
+    this.includeDrafts = includeDrafts;
+    this.error = null;
+    this.watcher = null;
+  }
+
+  generate(includeDrafts) {
+    try {
+      const manifest = buildBlogManifest(this.blogsDir, { readingSpeed: this.readingSpeed, includeDrafts });
+      writeJsonIfChanged(manifest, this.outputFile);
+      this.error = null;
+    } catch (error) {
+      this.error = error;
+    }
+  }
+
+  // public/ is excluded from webpack's own watcher (see craco.config.js), so
+  // posts are watched here and every change invalidates the running compiler.
+  watchPosts(compiler) {
+    if (this.watcher) {
+      return;
+    }
+
+    let timer = null;
+    this.watcher = fs.watch(this.blogsDir, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        if (compiler.watching) {
+          compiler.watching.invalidate();
+        }
+      }, WATCH_DEBOUNCE_MS);
+    });
+  }
+
+  // public/ is copied into the build before webpack runs, drafts and all.
+  removeUnpublished(outputPath) {
+    for (const post of loadPosts(this.blogsDir)) {
+      if (!isPostLive(post)) {
+        fs.rmSync(path.join(outputPath, path.basename(this.blogsDir), post.markdownFile), { force: true });
+      }
+    }
+  }
+
+  apply(compiler) {
+    // The dev server serves public/ as is, so drafts are always in its manifest,
+    // still behind the preview token.
+    const includeDrafts = this.includeDrafts || compiler.options.mode === "development";
+
+    compiler.hooks.beforeRun.tap(PLUGIN_NAME, () => this.generate(includeDrafts));
+    compiler.hooks.watchRun.tap(PLUGIN_NAME, () => {
+      this.generate(includeDrafts);
+      this.watchPosts(compiler);
+    });
+    if (!includeDrafts) {
+      compiler.hooks.afterEmit.tap(PLUGIN_NAME, () => {
+        if (!this.error) {
+          this.removeUnpublished(compiler.options.output.path);
+        }
+      });
+    }
+    compiler.hooks.watchClose.tap(PLUGIN_NAME, () => {
+      if (this.watcher) {
+        this.watcher.close();
+        this.watcher = null;
+      }
+    });
+
+    // Surface bad frontmatter as a compilation error so `craco build` fails
+    // and the dev server overlay names the offending file.
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      if (this.error) {
+        const error = new Error(`[blog-manifest] ${this.error.message}`);
+        error.stack = "";
+        compilation.errors.push(error);
+      }
+    });
+  }
+}
+
+module.exports = WebpackBlogManifestPlugin;
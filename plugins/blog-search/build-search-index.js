@@ -0,0 +1,82 @@
+// plugins/blog-search/build-search-index.js
+// Builds the inverted index behind the blog's full-text search.
+const { toPlainText } = require("../blog-manifest/content-stats");
+const { tokenize } = require("../../src/lib/textTerms");
+
+// A term in a title says more about a post than the same term in passing.
+const FIELD_WEIGHTS = {
+  title: 5,
+  tags: 3,
+  headings: 2,
+  body: 1,
+};
+
+const FENCE = /^\s*(```|~~~)/;
+const BLOCK_MARKER = /^\s*(#{1,6}\s+|>\s?|[-*+]\s+|\d+\.\s+)/;
+const TABLE_DIVIDER = /^\s*\|?(\s*:?-+:?\s*\|)+\s*:?-*:?\s*$/;
+
+/**
+ * The text of a post as it reads on the page, code included, flattened to a
+ * single line. Search snippets are cut from it.
+ */
+function toSearchText(body) {
+  const lines = [];
+
+  for (const line of body.split(/\r?\n/)) {
+    if (FENCE.test(line) || TABLE_DIVIDER.test(line)) {
+      continue;
+    }
+
+    let text = line;
+    while (BLOCK_MARKER.test(text)) {
+      text = text.replace(BLOCK_MARKER, "");
+    }
+    lines.push(toPlainText(text.replace(/\|/g, " ")));
+  }
+
+  return lines.join(" ").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * `docs` holds each post's slug, searchable text and token count; `terms`
+ * maps every stemmed term to a flat [doc, weight, doc, weight, ...] list,
+ * where doc is an index into `docs` and weight the field-weighted frequency.
+ */
+function buildSearchIndex(posts) {
+  const docs = [];
+  const postings = new Map();
+
+  posts.forEach((post, doc) => {
+    const text = toSearchText(post.body);
+    const fields = {
+      title: tokenize(post.title),
+      tags: tokenize(post.tags.join(" ")),
+      headings: tokenize(post.outline.map((heading) => heading.text).join(" ")),
+      body: tokenize(text),
+    };
+
+    const weights = new Map();
+    for (const [field, terms] of Object.entries(fields)) {
+      for (const term of terms) {
+        weights.set(term, (weights.get(term) || 0) + FIELD_WEIGHTS[field]);
+      }
+    }
+
+    for (const [term, weight] of weights) {
+      if (!postings.has(term)) {
+        postings.set(term, []);
+      }
+      postings.get(term).push(doc, weight);
+    }
+
+    docs.push({ id: post.id, length: fields.title.length + fields.body.length, text });
+  });
+
+  const terms = Object.fromEntries([...postings.keys()].sort().map((term) => [term, postings.get(term)]));
+  return { docs, terms };
+}
+
+module.exports = {
+  buildSearchIndex,
+  toSearchText,
+};
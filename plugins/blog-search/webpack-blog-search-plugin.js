@@ -0,0 +1,45 @@
+// plugins/blog-search/webpack-blog-search-plugin.js
+// Regenerates src/generated/search-index.json from public/blogs before every
+// compilation. The blog page imports it lazily, so it ships as its own chunk.
+const { isPostLive, loadPosts, writeJsonIfChanged } = require("../blog-manifest/build-blog-manifest");
+const { FrontmatterError } = require("../blog-manifest/frontmatter");
+const { buildSearchIndex } = require("./build-search-index");
+
+const PLUGIN_NAME = "BlogSearchPlugin";
+
+class WebpackBlogSearchPlugin {
+  constructor({ blogsDir, outputFile }) {
+    this.blogsDir = blogsDir;
+    this.outputFile = outputFile;
+    this.error = null;
+  }
+
+  // Only live posts are indexed: the index ships publicly like the manifest.
+  generate() {
+    try {
+      const posts = loadPosts(this.blogsDir).filter((post) => isPostLive(post));
+      writeJsonIfChanged(buildSearchIndex(posts), this.outputFile);
+      this.error = null;
+    } catch (error) {
+      // Bad frontmatter is already reported by the blog manifest plugin.
+      this.error = error instanceof FrontmatterError ? null : error;
+    }
+  }
+
+  apply(compiler) {
+    // Changes to public/blogs are picked up through the blog manifest
+    // plugin's watcher, which restarts the compilation.
+    compiler.hooks.beforeRun.tap(PLUGIN_NAME, () => this.generate());
+    compiler.hooks.watchRun.tap(PLUGIN_NAME, () => this.generate());
+
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      if (this.error) {
+        const error = new Error(`[blog-search] ${this.error.message}`);
+        error.stack = "";
+        compilation.errors.push(error);
+      }
+    });
+  }
+}
+
+module.exports = WebpackBlogSearchPlugin;
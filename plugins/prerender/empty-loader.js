@@ -0,0 +1,5 @@
+// plugins/prerender/empty-loader.js
+// Stylesheets mean nothing to the server render; the browser bundle ships them.
+module.exports = function emptyLoader() {
+  return "module.exports = {};";
+};
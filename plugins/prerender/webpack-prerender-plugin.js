@@ -0,0 +1,155 @@
+// plugins/prerender/webpack-prerender-plugin.js
+// After a production build, compiles src/entry-server.js for Node and renders
+// every public page into its own index.html, so the output works on any
+// static host and crawlers see real content. The browser bundle hydrates it.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expandRoutes } = require("../routes/expand-routes");
+const { FrontmatterError } = require("../blog-manifest/frontmatter");
+
+const PLUGIN_NAME = "PrerenderPlugin";
+
+const isCssRule = (rule) => rule.test instanceof RegExp && /css|sass|scss/.test(rule.test.source);
+
+// Same loaders as the browser build, except that stylesheets compile to nothing.
+function serverRules(rules) {
+  return rules.map((rule) => {
+    if (!rule.oneOf) {
+      return rule;
+    }
+    return {
+      ...rule,
+      oneOf: rule.oneOf.map((child) => (isCssRule(child)
+        ? { test: child.test, use: [require.resolve("./empty-loader")] }
+        : child)),
+    };
+  });
+}
+
+// "<" is escaped so the embedded markdown can never close the <script> early.
+const serializeData = (data) => JSON.stringify(data).replace(/</g, "\\u003c");
+
+const outputFileFor = (outputPath, routePath) =>
+  path.join(outputPath, ...routePath.split("/").filter(Boolean), "index.html");
+
+class WebpackPrerenderPlugin {
+  /**
+   * `clientConfig` is the final browser webpack config; the server build
+   * reuses its loaders, aliases and environment definitions.
+   */
+  constructor({ clientConfig, entry, routes, blogsDir }) {
+    this.clientConfig = clientConfig;
+    this.entry = entry;
+    this.routes = routes;
+    this.blogsDir = blogsDir;
+  }
+
+  compileServer(webpack, outputDir) {
+    const { clientConfig } = this;
+    const serverConfig = {
+      mode: "production",
+      target: "node",
+      context: clientConfig.context,
+      entry: this.entry,
+      output: {
+        path: outputDir,
+        filename: "entry-server.js",
+        library: { type: "commonjs2" },
+      },
+      resolve: clientConfig.resolve,
+      resolveLoader: clientConfig.resolveLoader,
+      module: {
+        ...clientConfig.module,
+        rules: serverRules(clientConfig.module.rules),
+      },
+      plugins: clientConfig.plugins.filter((plugin) => plugin instanceof webpack.DefinePlugin),
+      optimization: { minimize: false, splitChunks: false, runtimeChunk: false },
+      devtool: false,
+      performance: false,
+    };
+
+    return new Promise((resolve, reject) => {
+      webpack(serverConfig).run((error, stats) => {
+        if (error) {
+          reject(error);
+        } else if (stats.hasErrors()) {
+          reject(new Error(stats.toString({ all: false, errors: true })));
+        } else {
+          resolve(path.join(outputDir, "entry-server.js"));
+        }
+      });
+    });
+  }
+
+  renderPage(template, render, entry) {
+    const data = entry.post
+      ? { markdown: { slug: entry.post.id, content: entry.post.body } }
+      : {};
+    const { html, title, headTags } = render(entry.path, data);
+
+    let page = template
+      .replace(/<meta[^>]*\bdata-seo\b[^>]*>/g, "")
+      .replace('<div id="root"></div>', `<div id="root">${html}</div>`);
+
+    if (title) {
+      page = page.replace(/<title>[\s\S]*?<\/title>/, `<title>${title.replace(/&/g, "&amp;").replace(/</g, "&lt;")}</title>`);
+    }
+    page = page.replace("</head>", `${headTags}</head>`);
+
+    if (entry.post) {
+      page = page.replace(
+        "</body>",
+        `<script>window.__PRERENDER_DATA__=${serializeData(data)}</script></body>`,
+      );
+    }
+    return page;
+  }
+
+  async prerender(compiler, compilation) {
+    const outputPath = compilation.outputOptions.path;
+    const templateFile = path.join(outputPath, "index.html");
+    const template = fs.readFileSync(templateFile, "utf8");
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "prerender-"));
+
+    try {
+      const bundle = await this.compileServer(compiler.webpack, outputDir);
+      const { render } = require(bundle);
+      const entries = expandRoutes(this.routes, { blogsDir: this.blogsDir });
+
+      // Unknown URLs (and posts scheduled after this build) fall back to the
+      // client-rendered shell on hosts that serve 404.html.
+      fs.writeFileSync(path.join(outputPath, "404.html"), template);
+
+      for (const entry of entries) {
+        const file = outputFileFor(outputPath, entry.path);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, this.renderPage(template, render, entry));
+      }
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  }
+
+  apply(compiler) {
+    if (compiler.options.mode !== "production") {
+      return;
+    }
+
+    compiler.hooks.afterEmit.tapPromise(PLUGIN_NAME, async (compilation) => {
+      if (compilation.errors.length > 0) {
+        return;
+      }
+      try {
+        await this.prerender(compiler, compilation);
+      } catch (error) {
+        // Bad frontmatter is already reported by the blog manifest plugin.
+        if (!(error instanceof FrontmatterError)) {
+          compilation.errors.push(new Error(`[prerender] ${error.message}`));
+        }
+      }
+    });
+  }
+}
+
+module.exports = WebpackPrerenderPlugin;
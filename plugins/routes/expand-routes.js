@@ -0,0 +1,70 @@
+// plugins/routes/expand-routes.js
+// Expands src/data/routes.json into the concrete public pages of the site,
+// shared by the sitemap and the prerenderer.
+const { loadPosts, isPostLive, slugifyTag } = require("../blog-manifest/build-blog-manifest");
+
+// Paths under these prefixes are never listed, prerendered or crawled.
+const PRIVATE_PREFIXES = ["/admin"];
+
+const isPrivate = (routePath) =>
+  PRIVATE_PREFIXES.some((prefix) => routePath === prefix || routePath.startsWith(`${prefix}/`));
+
+const lastModified = (post) => post.updated || post.date;
+
+const latest = (dates) =>
+  (dates.length > 0 ? dates.reduce((max, date) => (date > max ? date : max)) : undefined);
+
+/**
+ * Returns { path, lastmod, post } for every public page. Each route with
+ * parameters needs an expansion here; an unknown one throws rather than
+ * silently dropping pages. Routes marked "sitemap": false are skipped.
+ * Only live posts are included, so drafts never get a page.
+ */
+function expandRoutes(routes, { blogsDir }) {
+  const posts = loadPosts(blogsDir).filter((post) => isPostLive(post));
+  const newestPost = latest(posts.map(lastModified));
+
+  // Listing pages change whenever one of their posts does
+  const listing = (path, listed) => ({ path, lastmod: latest(listed.map(lastModified)), post: null });
+  const tags = [...new Set(posts.flatMap((post) => post.tags))].sort();
+  const months = [...new Set(posts.map((post) => post.date.slice(0, 7)))].sort();
+  const years = [...new Set(months.map((month) => month.slice(0, 4)))];
+
+  const dynamicRoutes = {
+    "/blog/:slug": () => posts.map((post) => ({
+      path: `/blog/${post.id}`,
+      lastmod: lastModified(post),
+      post,
+    })),
+    "/blog/tag/:tag": () => tags.map((tag) =>
+      listing(`/blog/tag/${slugifyTag(tag)}`, posts.filter((post) => post.tags.includes(tag)))),
+    "/blog/archive/:year": () => years.map((year) =>
+      listing(`/blog/archive/${year}`, posts.filter((post) => post.date.startsWith(year)))),
+    "/blog/archive/:year/:month": () => months.map((month) =>
+      listing(`/blog/archive/${month.replace("-", "/")}`, posts.filter((post) => post.date.startsWith(month)))),
+  };
+  const staticLastmod = {
+    "/": newestPost,
+    "/blog": newestPost,
+    "/blog/archive": newestPost,
+  };
+
+  return routes
+    .filter((route) => route.sitemap !== false && !isPrivate(route.path))
+    .flatMap((route) => {
+      if (!route.path.includes(":")) {
+        return [{ path: route.path, lastmod: staticLastmod[route.path], post: null }];
+      }
+      if (!dynamicRoutes[route.path]) {
+        throw new Error(
+          `no pages known for route "${route.path}"; expand it in ${__filename} or set "sitemap": false`,
+        );
+      }
+      return dynamicRoutes[route.path]();
+    });
+}
+
+module.exports = {
+  PRIVATE_PREFIXES,
+  expandRoutes,
+};
@@ -0,0 +1,65 @@
+// plugins/sitemap/webpack-sitemap-plugin.js
+// Emits /sitemap.xml and /robots.txt from src/data/routes.json and the live
+// posts in public/blogs.
+const { FrontmatterError } = require("../blog-manifest/frontmatter");
+const { PRIVATE_PREFIXES, expandRoutes } = require("../routes/expand-routes");
+
+const PLUGIN_NAME = "SitemapPlugin";
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+class WebpackSitemapPlugin {
+  constructor({ routes, blogsDir, siteUrl }) {
+    this.routes = routes;
+    this.blogsDir = blogsDir;
+    this.siteUrl = siteUrl.replace(/\/+$/, "");
+  }
+
+  buildSitemap(entries) {
+    const urls = entries.map(({ path: routePath, lastmod }) => `  <url>
+    <loc>${escapeXml(`${this.siteUrl}${routePath}`)}</loc>
+${lastmod ? `    <lastmod>${lastmod}</lastmod>\n` : ""}  </url>
+`).join("");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}</urlset>
+`;
+  }
+
+  buildRobots() {
+    return `User-agent: *
+Allow: /
+${PRIVATE_PREFIXES.map((prefix) => `Disallow: ${prefix}\n`).join("")}
+Sitemap: ${this.siteUrl}/sitemap.xml
+`;
+  }
+
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      compilation.hooks.processAssets.tap(
+        { name: PLUGIN_NAME, stage: compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL },
+        () => {
+          const { RawSource } = compiler.webpack.sources;
+          try {
+            compilation.emitAsset("sitemap.xml", new RawSource(this.buildSitemap(expandRoutes(this.routes, { blogsDir: this.blogsDir }))));
+            compilation.emitAsset("robots.txt", new RawSource(this.buildRobots()));
+          } catch (error) {
+            // Bad frontmatter is already reported by the blog manifest plugin.
+            if (!(error instanceof FrontmatterError)) {
+              compilation.errors.push(new Error(`[sitemap] ${error.message}`));
+            }
+          }
+        },
+      );
+    });
+  }
+}
+
+module.exports = WebpackSitemapPlugin;
@@ -1,33 +1,53 @@
 import React from 'react';
-import { BrowserRouter, Routes, Route } from 'react-router-dom';
+import { Routes, Route } from 'react-router-dom';
+import { ThemeProvider } from 'next-themes';
 import './App.css';
 import Header from './components/Header';
 import Footer from './components/Footer';
+import { Toaster } from './components/ui/toaster';
 import HomePage from './pages/HomePage';
 import AboutPage from './pages/AboutPage';
 import BlogPage from './pages/BlogPage';
 import BlogPostPage from './pages/BlogPostPage';
+import BlogTagPage from './pages/BlogTagPage';
+import BlogArchivePage from './pages/BlogArchivePage';
 import ProjectsPage from './pages/ProjectsPage';
 import ContactPage from './pages/ContactPage';
+import routes from './data/routes.json';
 
+// Route paths live in data/routes.json so build-time tooling (sitemap, prerender)
+// sees the same routes as the router.
+const pages = {
+  home: HomePage,
+  about: AboutPage,
+  blog: BlogPage,
+  blogPost: BlogPostPage,
+  blogTag: BlogTagPage,
+  blogArchive: BlogArchivePage,
+  projects: ProjectsPage,
+  contact: ContactPage,
+};
+
+// The router itself is supplied by the entry point: BrowserRouter in index.js,
+// StaticRouter in entry-server.js when prerendering. ThemeProvider backs the
+// command palette's theme action, which switches the .dark tokens in index.css.
 function App() {
   return (
-    <BrowserRouter>
+    <ThemeProvider attribute="class" defaultTheme="light">
       <div className="App">
         <Header />
         <main className="main-content">
           <Routes>
-            <Route path="/" element={<HomePage />} />
-            <Route path="/about" element={<AboutPage />} />
-            <Route path="/blog" element={<BlogPage />} />
-            <Route path="/blog/:slug" element={<BlogPostPage />} />
-            <Route path="/projects" element={<ProjectsPage />} />
-            <Route path="/contact" element={<ContactPage />} />
+            {routes.map(({ path, page }) => {
+              const Page = pages[page];
+              return <Route key={path} path={path} element={<Page />} />;
+            })}
           </Routes>
         </main>
         <Footer />
+        <Toaster />
       </div>
-    </BrowserRouter>
+    </ThemeProvider>
   );
 }
 
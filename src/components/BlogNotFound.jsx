@@ -0,0 +1,23 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import { Button } from './ui/button';
+import Seo from './Seo';
+import './BlogNotFound.css';
+
+// Not-found state for the blog's listing pages (unknown tag, empty month).
+const BlogNotFound = ({ title, message, path }) => (
+  <div className="blog-not-found">
+    <Seo title={title} path={path} noIndex />
+    <h1>{title}</h1>
+    <p>{message}</p>
+    <Button asChild>
+      <Link to="/blog">
+        <ArrowLeft className="mr-2" />
+        Back to Blog
+      </Link>
+    </Button>
+  </div>
+);
+
+export default BlogNotFound;
@@ -0,0 +1,180 @@
+import React, { useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTheme } from 'next-themes';
+import { Copy, FileText, FolderGit2, Github, Hash, Moon, Navigation, Sun } from 'lucide-react';
+import {
+  CommandDialog,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+  CommandSeparator,
+  CommandShortcut,
+} from './ui/command';
+import { useToast } from '../hooks/use-toast';
+import { useRecentItems } from '../hooks/use-recent-items';
+import { getPublishedPosts, getTagPath } from '../data/blogManifest';
+import { profileData, projects } from '../data/mockData';
+import { navLinks } from '../data/navigation';
+
+const RECENT_STORAGE_KEY = 'command-palette:recent';
+
+const GROUPS = ['Pages', 'Posts', 'Projects', 'Tags', 'Actions'];
+
+// True for Ctrl+K, or Cmd+K on macOS
+const isPaletteShortcut = (event) =>
+  event.key.toLowerCase() === 'k' && (event.metaKey || event.ctrlKey) && !event.altKey && !event.shiftKey;
+
+/**
+ * Site-wide command palette. Toggled with Ctrl/Cmd+K from anywhere; the
+ * Header also opens it. Items run through `run` so they are remembered.
+ */
+const CommandPalette = ({ open, onOpenChange }) => {
+  const navigate = useNavigate();
+  const { resolvedTheme, setTheme } = useTheme();
+  const { toast } = useToast();
+  const [recentIds, addRecent] = useRecentItems(RECENT_STORAGE_KEY);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (isPaletteShortcut(event)) {
+        event.preventDefault();
+        onOpenChange(!open);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [open, onOpenChange]);
+
+  const isDark = resolvedTheme === 'dark';
+
+  const items = useMemo(() => {
+    const posts = getPublishedPosts();
+    const tags = [...new Set(posts.flatMap(post => post.tags))].sort();
+
+    return [
+      ...navLinks.map(link => ({
+        id: `page:${link.path}`,
+        group: 'Pages',
+        label: link.label,
+        icon: Navigation,
+        perform: () => navigate(link.path),
+      })),
+      ...posts.map(post => ({
+        id: `post:${post.id}`,
+        group: 'Posts',
+        label: post.title,
+        keywords: [post.excerpt, ...post.tags],
+        icon: FileText,
+        perform: () => navigate(`/blog/${post.id}`),
+      })),
+      ...projects.map(project => ({
+        id: `project:${project.id}`,
+        group: 'Projects',
+        label: project.name,
+        keywords: [project.description, ...project.techStack],
+        icon: FolderGit2,
+        perform: () => navigate({ pathname: '/projects', hash: project.id }),
+      })),
+      ...tags.map(tag => ({
+        id: `tag:${tag}`,
+        group: 'Tags',
+        label: tag,
+        icon: Hash,
+        perform: () => navigate(getTagPath(tag)),
+      })),
+      {
+        id: 'action:copy-email',
+        group: 'Actions',
+        label: 'Copy email address',
+        keywords: [profileData.social.email, 'contact'],
+        icon: Copy,
+        perform: async () => {
+          try {
+            await navigator.clipboard.writeText(profileData.social.email);
+            toast({ title: 'Email copied', description: profileData.social.email });
+          } catch {
+            toast({ variant: 'destructive', title: 'Could not copy', description: profileData.social.email });
+          }
+        },
+      },
+      {
+        id: 'action:toggle-theme',
+        group: 'Actions',
+        label: isDark ? 'Switch to light theme' : 'Switch to dark theme',
+        keywords: ['theme', 'dark', 'light', 'appearance'],
+        icon: isDark ? Sun : Moon,
+        perform: () => setTheme(isDark ? 'light' : 'dark'),
+      },
+      {
+        id: 'action:open-github',
+        group: 'Actions',
+        label: 'Open GitHub profile',
+        keywords: ['github', 'code', 'source'],
+        icon: Github,
+        perform: () => window.open(profileData.social.github, '_blank', 'noopener,noreferrer'),
+      },
+    ];
+  }, [navigate, toast, isDark, setTheme]);
+
+  // Recent ids that no longer match an item (an unpublished post) are skipped
+  const recentItems = recentIds
+    .map(id => items.find(item => item.id === id))
+    .filter(Boolean);
+
+  const run = (item) => {
+    onOpenChange(false);
+    addRecent(item.id);
+    item.perform();
+  };
+
+  // cmdk tells items apart by `value`, so recent entries get their own; they
+  // also name their type, which the other groups' headings already give.
+  const renderItem = (item, { recent = false } = {}) => {
+    const Icon = item.icon;
+    const value = recent ? `recent:${item.id}` : item.id;
+    return (
+      <CommandItem
+        key={value}
+        value={value}
+        keywords={[item.label, ...(item.keywords || [])]}
+        onSelect={() => run(item)}
+      >
+        <Icon className="mr-2" />
+        <span>{item.label}</span>
+        {recent && <CommandShortcut>{item.group}</CommandShortcut>}
+      </CommandItem>
+    );
+  };
+
+  return (
+    <CommandDialog
+      open={open}
+      onOpenChange={onOpenChange}
+      title="Search the site"
+      description="Jump to a page, post, project or tag, or run an action."
+    >
+      <CommandInput placeholder="Search pages, posts, projects, tags…" />
+      <CommandList>
+        <CommandEmpty>No results found.</CommandEmpty>
+        {recentItems.length > 0 && (
+          <>
+            <CommandGroup heading="Recent">
+              {recentItems.map(item => renderItem(item, { recent: true }))}
+            </CommandGroup>
+            <CommandSeparator />
+          </>
+        )}
+        {GROUPS.map(group => (
+          <CommandGroup key={group} heading={group}>
+            {items.filter(item => item.group === group).map(item => renderItem(item))}
+          </CommandGroup>
+        ))}
+      </CommandList>
+    </CommandDialog>
+  );
+};
+
+export default CommandPalette;
@@ -1,23 +1,26 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { Menu, X, Code } from 'lucide-react';
+import { Menu, X, Code, Search } from 'lucide-react';
 import { Button } from './ui/button';
+import CommandPalette from './CommandPalette';
+import { navLinks } from '../data/navigation';
 import './Header.css';
 
 const Header = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const [shortcutLabel, setShortcutLabel] = useState('Ctrl K');
   const location = useLocation();
 
-  const navLinks = [
-    { path: '/', label: 'Home' },
-    { path: '/about', label: 'About' },
-    { path: '/blog', label: 'Blog' },
-    { path: '/projects', label: 'Projects' },
-    { path: '/contact', label: 'Contact' },
-  ];
-
   const isActive = (path) => location.pathname === path;
 
+  // Decided after mount so prerendered markup matches the first client render
+  useEffect(() => {
+    if (/Mac|iPhone|iPad/.test(navigator.platform)) {
+      setShortcutLabel('⌘K');
+    }
+  }, []);
+
   return (
     <header className="header">
       <div className="header-container">
@@ -39,6 +42,18 @@ const Header = () => {
           ))}
         </nav>
 
+        <Button
+          variant="outline"
+          size="sm"
+          className="palette-trigger"
+          onClick={() => setIsPaletteOpen(true)}
+          aria-label="Search the site"
+        >
+          <Search />
+          <span className="palette-trigger-label">Search</span>
+          <kbd className="palette-trigger-shortcut">{shortcutLabel}</kbd>
+        </Button>
+
         <Button
           variant="ghost"
           size="icon"
@@ -48,6 +63,7 @@ const Header = () => {
           {isMenuOpen ? <X /> : <Menu />}
         </Button>
       </div>
+      <CommandPalette open={isPaletteOpen} onOpenChange={setIsPaletteOpen} />
     </header>
   );
 };
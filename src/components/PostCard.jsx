@@ -0,0 +1,40 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowRight } from 'lucide-react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import TagBadge from './TagBadge';
+import './PostCard.css';
+
+/**
+ * A post in the blog's lists (the blog, tag and archive pages). `linkState`
+ * is passed on to the post page; `children` go under the excerpt.
+ */
+const PostCard = ({ post, linkState, children }) => (
+  <Card className="blog-item">
+    <CardHeader>
+      <div className="blog-item-meta">
+        <span className="blog-date">{post.date}</span>
+        <span className="blog-read-time">{post.readTime}</span>
+      </div>
+      <Link to={`/blog/${post.id}`} state={linkState}>
+        <CardTitle className="blog-item-title">{post.title}</CardTitle>
+      </Link>
+      <CardDescription className="blog-item-excerpt">{post.excerpt}</CardDescription>
+      {children}
+    </CardHeader>
+    <CardContent>
+      <div className="blog-item-footer">
+        <div className="blog-item-tags">
+          {post.tags.map(tag => (
+            <TagBadge key={tag} tag={tag} />
+          ))}
+        </div>
+        <Link to={`/blog/${post.id}`} state={linkState} className="read-more-link">
+          Read More <ArrowRight size={16} />
+        </Link>
+      </div>
+    </CardContent>
+  </Card>
+);
+
+export default PostCard;
@@ -0,0 +1,98 @@
+import React, { useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { ArrowLeft, ArrowRight } from 'lucide-react';
+import { getAdjacentPosts } from '../lib/postNavigation';
+import './PostNavigation.css';
+
+// Arrow keys there move a caret, a slider or a scrolled code block instead.
+const KEY_HANDLING_ELEMENTS = 'pre, input, textarea, select, [contenteditable]:not([contenteditable="false"])';
+
+const handlesArrowKeys = (target) =>
+  target instanceof Element && target.closest(KEY_HANDLING_ELEMENTS) !== null;
+
+const NavLink = ({ post, direction, label, state }) => (
+  <Link
+    to={`/blog/${post.id}`}
+    state={state}
+    rel={direction === 'previous' ? 'prev' : 'next'}
+    className={`post-nav-link post-nav-${direction}`}
+  >
+    <span className="post-nav-label">
+      {direction === 'previous' && <ArrowLeft size={16} />}
+      {label}
+      {direction === 'next' && <ArrowRight size={16} />}
+    </span>
+    <span className="post-nav-title">{post.title}</span>
+  </Link>
+);
+
+const NavRow = ({ previous, next, previousLabel, nextLabel, state }) => (
+  <div className="post-nav-row">
+    {previous ? (
+      <NavLink post={previous} direction="previous" label={previousLabel} state={state} />
+    ) : <span />}
+    {next ? (
+      <NavLink post={next} direction="next" label={nextLabel} state={state} />
+    ) : <span />}
+  </div>
+);
+
+/**
+ * Previous/next links between posts by date, with ←/→ shortcuts. When the
+ * reader came from a tag filter (`fromTag`) the post carries, a second row
+ * stays within that tag.
+ */
+const PostNavigation = ({ post, posts, fromTag }) => {
+  const navigate = useNavigate();
+  const { previous, next } = getAdjacentPosts(post, posts);
+  const inTag = fromTag && post.tags.includes(fromTag)
+    ? getAdjacentPosts(post, posts, { tag: fromTag })
+    : null;
+  const state = fromTag ? { fromTag } : undefined;
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey || handlesArrowKeys(e.target)) {
+        return;
+      }
+      const target = e.key === 'ArrowLeft' ? previous : e.key === 'ArrowRight' ? next : null;
+      if (target) {
+        e.preventDefault();
+        navigate(`/blog/${target.id}`, { state: fromTag ? { fromTag } : undefined });
+      }
+    };
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [previous, next, navigate, fromTag]);
+
+  if (!previous && !next) {
+    return null;
+  }
+
+  return (
+    <nav className="post-navigation" aria-label="Post navigation">
+      <NavRow
+        previous={previous}
+        next={next}
+        previousLabel="Previous article"
+        nextLabel="Next article"
+        state={state}
+      />
+      {inTag && (inTag.previous || inTag.next) && (
+        <NavRow
+          previous={inTag.previous}
+          next={inTag.next}
+          previousLabel={`Previous in ${fromTag}`}
+          nextLabel={`Next in ${fromTag}`}
+          state={state}
+        />
+      )}
+      <p className="post-nav-hint">
+        Tip: use <kbd>←</kbd> and <kbd>→</kbd> to move between articles.
+      </p>
+    </nav>
+  );
+};
+
+export default PostNavigation;
@@ -0,0 +1,46 @@
+import { createContext, useContext, useEffect } from 'react';
+import { buildPageMeta, headTags } from '../lib/seo';
+
+// Marks the head elements this component owns, including the defaults in public/index.html.
+export const SEO_ATTRIBUTE = 'data-seo';
+
+function applyHead(meta) {
+  document.title = meta.title;
+  document.head.querySelectorAll(`[${SEO_ATTRIBUTE}]`).forEach(element => element.remove());
+
+  headTags(meta).forEach(({ tag, attrs, content }) => {
+    const element = document.createElement(tag);
+    Object.entries(attrs).forEach(([key, value]) => element.setAttribute(key, value));
+    if (content) {
+      element.textContent = content;
+    }
+    element.setAttribute(SEO_ATTRIBUTE, '');
+    document.head.appendChild(element);
+  });
+}
+
+// When provided (by entry-server.js), the page's metadata is recorded here
+// during render, since effects never run while prerendering.
+export const HeadContext = createContext(null);
+
+/**
+ * Sets the document title and the route's meta/link tags. Render one per page;
+ * props are those of buildPageMeta in lib/seo.js.
+ */
+const Seo = (props) => {
+  const meta = buildPageMeta(props);
+  const serialized = JSON.stringify(meta);
+  const collector = useContext(HeadContext);
+
+  if (collector) {
+    collector.meta = meta;
+  }
+
+  useEffect(() => {
+    applyHead(JSON.parse(serialized));
+  }, [serialized]);
+
+  return null;
+};
+
+export default Seo;
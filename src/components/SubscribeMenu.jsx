@@ -0,0 +1,51 @@
+import React from 'react';
+import { Rss } from 'lucide-react';
+import { Button } from './ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from './ui/dropdown-menu';
+import { getFeedUrls } from '../data/blogManifest';
+
+const FEED_FORMATS = [
+  { key: 'rss', label: 'RSS' },
+  { key: 'atom', label: 'Atom' },
+  { key: 'json', label: 'JSON Feed' },
+];
+
+const FeedItems = ({ urls }) => FEED_FORMATS.map(format => (
+  <DropdownMenuItem key={format.key} asChild>
+    <a href={urls[format.key]} target="_blank" rel="noopener noreferrer">
+      {format.label}
+    </a>
+  </DropdownMenuItem>
+));
+
+// Feed links for the whole blog, plus the feeds of `tag` when one is selected.
+const SubscribeMenu = ({ tag }) => (
+  <DropdownMenu>
+    <DropdownMenuTrigger asChild>
+      <Button variant="outline" size="sm">
+        <Rss className="mr-2" size={16} />
+        Subscribe
+      </Button>
+    </DropdownMenuTrigger>
+    <DropdownMenuContent align="end">
+      <DropdownMenuLabel>All articles</DropdownMenuLabel>
+      <FeedItems urls={getFeedUrls()} />
+      {tag && (
+        <>
+          <DropdownMenuSeparator />
+          <DropdownMenuLabel>Only {tag}</DropdownMenuLabel>
+          <FeedItems urls={getFeedUrls(tag)} />
+        </>
+      )}
+    </DropdownMenuContent>
+  </DropdownMenu>
+);
+
+export default SubscribeMenu;
@@ -0,0 +1,106 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { List } from 'lucide-react';
+import { Button } from './ui/button';
+import {
+  Drawer,
+  DrawerContent,
+  DrawerHeader,
+  DrawerTitle,
+  DrawerTrigger,
+} from './ui/drawer';
+import { replaceHash, scrollToHeading, withHeadingIds } from '../lib/headings';
+import { useActiveHeading } from '../hooks/use-active-heading';
+import './TableOfContents.css';
+
+const TOC_DEPTHS = [2, 3];
+
+// `ready` should become true once the article body (and so its headings) has rendered.
+const TableOfContents = ({ outline, ready }) => {
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  const pendingHeading = useRef(null);
+  const lastActiveId = useRef(null);
+
+  const items = useMemo(
+    () => withHeadingIds(outline).filter(heading => TOC_DEPTHS.includes(heading.depth)),
+    [outline]
+  );
+  const ids = useMemo(() => (ready ? items.map(item => item.id) : []), [items, ready]);
+  const activeId = useActiveHeading(ids);
+
+  // Keep the URL hash on the section being read. Nothing is written until a
+  // section has actually been active, so an incoming hash is left alone.
+  useEffect(() => {
+    if (activeId === lastActiveId.current) {
+      return;
+    }
+    lastActiveId.current = activeId;
+    replaceHash(activeId);
+  }, [activeId]);
+
+  if (items.length === 0) {
+    return null;
+  }
+
+  const renderList = (onNavigate) => (
+    <nav aria-label="Table of contents">
+      <ul className="toc-list">
+        {items.map(item => (
+          <li key={item.id} className={`toc-item toc-depth-${item.depth}`}>
+            <a
+              href={`#${item.id}`}
+              className={`toc-link ${activeId === item.id ? 'active' : ''}`}
+              aria-current={activeId === item.id ? 'location' : undefined}
+              onClick={(e) => {
+                e.preventDefault();
+                onNavigate(item.id);
+              }}
+            >
+              {item.text}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+
+  return (
+    <>
+      <aside className="toc-sidebar">
+        <p className="toc-title">On this page</p>
+        {renderList(id => scrollToHeading(id))}
+      </aside>
+
+      <Drawer
+        open={drawerOpen}
+        onOpenChange={setDrawerOpen}
+        onAnimationEnd={(open) => {
+          // Scrolling is locked while the drawer is open, so wait for it to close.
+          if (!open && pendingHeading.current) {
+            scrollToHeading(pendingHeading.current);
+            pendingHeading.current = null;
+          }
+        }}
+      >
+        <DrawerTrigger asChild>
+          <Button variant="outline" size="sm" className="toc-drawer-trigger">
+            <List size={16} />
+            On this page
+          </Button>
+        </DrawerTrigger>
+        <DrawerContent className="toc-drawer">
+          <DrawerHeader>
+            <DrawerTitle>On this page</DrawerTitle>
+          </DrawerHeader>
+          <div className="toc-drawer-body">
+            {renderList((id) => {
+              pendingHeading.current = id;
+              setDrawerOpen(false);
+            })}
+          </div>
+        </DrawerContent>
+      </Drawer>
+    </>
+  );
+};
+
+export default TableOfContents;
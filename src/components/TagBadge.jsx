@@ -0,0 +1,14 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Badge } from './ui/badge';
+import { getTagPath } from '../data/blogManifest';
+import './TagBadge.css';
+
+// A post's tag, linking to that tag's page.
+const TagBadge = ({ tag, variant = 'outline' }) => (
+  <Link to={getTagPath(tag)} className="tag-badge-link">
+    <Badge variant={variant} className="tag-badge">{tag}</Badge>
+  </Link>
+);
+
+export default TagBadge;
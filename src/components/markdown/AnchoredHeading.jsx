@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import { Check, Link as LinkIcon } from 'lucide-react';
+import { toast } from '../../hooks/use-toast';
+import { scrollToHeading } from '../../lib/headings';
+import './AnchoredHeading.css';
+
+const COPIED_RESET_MS = 2000;
+
+// ReactMarkdown heading renderer with a hover "copy link" anchor.
+// The id itself comes from rehypeHeadingIds.
+const AnchoredHeading = ({ node, id, children, className, ...props }) => {
+  const Tag = node.tagName;
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) {
+      return undefined;
+    }
+    const timer = setTimeout(() => setCopied(false), COPIED_RESET_MS);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  if (!id) {
+    return <Tag className={className} {...props}>{children}</Tag>;
+  }
+
+  const copyLink = async (e) => {
+    e.preventDefault();
+    scrollToHeading(id);
+
+    const url = new URL(window.location.href);
+    url.hash = id;
+    try {
+      await navigator.clipboard.writeText(url.toString());
+      setCopied(true);
+    } catch (error) {
+      toast({ variant: 'destructive', title: 'Could not copy link', description: error.message });
+    }
+  };
+
+  return (
+    <Tag id={id} className={`anchored-heading ${className || ''}`.trim()} {...props}>
+      {children}
+      <a
+        href={`#${id}`}
+        className="heading-anchor"
+        aria-label={copied ? 'Link copied' : 'Copy link to this section'}
+        title={copied ? 'Link copied' : 'Copy link to this section'}
+        onClick={copyLink}
+      >
+        {copied ? <Check size={18} /> : <LinkIcon size={18} />}
+      </a>
+    </Tag>
+  );
+};
+
+export default AnchoredHeading;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { Info, Lightbulb, OctagonAlert, TriangleAlert } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '../ui/alert';
+import './Callout.css';
+
+const CALLOUTS = {
+  note: { title: 'Note', icon: Info, variant: 'info' },
+  tip: { title: 'Tip', icon: Lightbulb, variant: 'success' },
+  warning: { title: 'Warning', icon: TriangleAlert, variant: 'warning' },
+  caution: { title: 'Caution', icon: OctagonAlert, variant: 'destructive' },
+};
+
+// ReactMarkdown `blockquote` renderer: blockquotes tagged by remarkCallouts
+// become alerts, everything else stays a plain blockquote.
+const Callout = ({ node, children, 'data-callout': type, ...props }) => {
+  const callout = CALLOUTS[type];
+  if (!callout) {
+    return <blockquote {...props}>{children}</blockquote>;
+  }
+
+  const Icon = callout.icon;
+  // role="note": these are part of the text, not announcements
+  return (
+    <Alert variant={callout.variant} role="note" className="callout">
+      <Icon className="h-4 w-4" />
+      <AlertTitle className="callout-title">{callout.title}</AlertTitle>
+      <AlertDescription className="callout-body">{children}</AlertDescription>
+    </Alert>
+  );
+};
+
+export default Callout;
@@ -0,0 +1,75 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Check, Copy, FileCode } from 'lucide-react';
+import { toast } from '../../hooks/use-toast';
+import MermaidDiagram from './MermaidDiagram';
+import './CodeBlock.css';
+
+const COPIED_RESET_MS = 2000;
+
+const textContent = (node) =>
+  (node.type === 'text' ? node.value : (node.children || []).map(textContent).join(''));
+
+// The language-* class rehype-highlight leaves on the block's <code>
+const languageOf = (pre) => {
+  const code = pre.children.find(child => child.tagName === 'code');
+  const classes = (code && code.properties.className) || [];
+  const language = classes.find(name => String(name).startsWith('language-'));
+  return language ? language.slice('language-'.length) : null;
+};
+
+// Filename header and copy button around a code block. Lines, highlights
+// and numbering come from rehypeCodeBlocks.
+const CodeListing = ({ node, children, 'data-title': title, ...props }) => {
+  const preRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) {
+      return undefined;
+    }
+    const timer = setTimeout(() => setCopied(false), COPIED_RESET_MS);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const copyCode = async () => {
+    const code = preRef.current ? preRef.current.textContent : '';
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      toast({ title: 'Copied to clipboard', description: title || undefined });
+    } catch (error) {
+      toast({ variant: 'destructive', title: 'Could not copy code', description: error.message });
+    }
+  };
+
+  return (
+    <div className={`code-block ${title ? 'has-title' : ''}`.trim()}>
+      {title && (
+        <div className="code-block-title">
+          <FileCode size={14} />
+          <span>{title}</span>
+        </div>
+      )}
+      <button
+        type="button"
+        className="code-block-copy"
+        onClick={copyCode}
+        aria-label={copied ? 'Code copied' : 'Copy code'}
+        title={copied ? 'Code copied' : 'Copy code'}
+      >
+        {copied ? <Check size={16} /> : <Copy size={16} />}
+      </button>
+      <pre ref={preRef} {...props}>{children}</pre>
+    </div>
+  );
+};
+
+// ReactMarkdown `pre` renderer; ```mermaid fences become diagrams.
+const CodeBlock = (props) => {
+  if (languageOf(props.node) === 'mermaid') {
+    return <MermaidDiagram source={textContent(props.node).trimEnd()} />;
+  }
+  return <CodeListing {...props} />;
+};
+
+export default CodeBlock;
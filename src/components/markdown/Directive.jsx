@@ -0,0 +1,36 @@
+import React from 'react';
+import { parseDirectiveAttributes } from '../../lib/directives';
+import { shortcodes } from './shortcodes';
+import ShortcodeWarning from './shortcodes/ShortcodeWarning';
+
+// ReactMarkdown `div` renderer: divs made from directives by remarkDirectives
+// render their shortcode, every other div renders as usual.
+const Directive = ({ node, children, ...props }) => {
+  const name = props['data-directive'];
+  if (name === undefined) {
+    return <div {...props}>{children}</div>;
+  }
+
+  const Shortcode = shortcodes[name];
+  if (!Shortcode) {
+    return (
+      <>
+        <ShortcodeWarning title="Unknown shortcode">
+          “{name}” is not in the shortcode registry (components/markdown/shortcodes).
+        </ShortcodeWarning>
+        {children}
+      </>
+    );
+  }
+
+  return (
+    <Shortcode
+      attributes={parseDirectiveAttributes(props['data-directive-attributes'])}
+      label={props['data-directive-label']}
+    >
+      {children}
+    </Shortcode>
+  );
+};
+
+export default Directive;
@@ -0,0 +1,101 @@
+import React, { useRef, useState } from 'react';
+import { HoverCard, HoverCardContent, HoverCardPortal, HoverCardTrigger } from '../ui/hover-card';
+import { Popover, PopoverAnchor, PopoverContent } from '../ui/popover';
+import { rememberReference, returnToReference } from '../../lib/footnotes';
+import { idFromHash } from '../../lib/headings';
+import './FootnoteLink.css';
+
+const isPreview = child => React.isValidElement(child) && child.props['data-footnote-preview'] !== undefined;
+
+// A footnote reference previews its footnote in a hover card on hover and
+// focus; touch has no hover, so a tap opens the same preview in a popover.
+const FootnoteReference = ({ href, children, ...props }) => {
+  const [hoverOpen, setHoverOpen] = useState(false);
+  const [popoverOpen, setPopoverOpen] = useState(false);
+  const pointerType = useRef(null);
+  const referenceRef = useRef(null);
+
+  const items = React.Children.toArray(children);
+  const preview = items.find(isPreview);
+  const label = items.filter(child => !isPreview(child));
+
+  if (!preview) {
+    return <a href={href} {...props}>{children}</a>;
+  }
+
+  const handleClick = (event) => {
+    const isTouch = pointerType.current === 'touch';
+    pointerType.current = null;
+    if (isTouch) {
+      event.preventDefault();
+      setPopoverOpen(!popoverOpen);
+      return;
+    }
+    rememberReference(event.currentTarget);
+  };
+
+  const goToFootnote = () => {
+    rememberReference(referenceRef.current);
+    setPopoverOpen(false);
+  };
+
+  return (
+    <Popover open={popoverOpen} onOpenChange={setPopoverOpen}>
+      <HoverCard open={hoverOpen && !popoverOpen} onOpenChange={setHoverOpen} openDelay={200} closeDelay={150}>
+        <PopoverAnchor asChild>
+          <HoverCardTrigger asChild>
+            <a
+              ref={referenceRef}
+              href={href}
+              {...props}
+              onPointerDown={(event) => { pointerType.current = event.pointerType; }}
+              onClick={handleClick}
+            >
+              {label}
+            </a>
+          </HoverCardTrigger>
+        </PopoverAnchor>
+        <HoverCardPortal>
+          <HoverCardContent className="footnote-preview" side="top">
+            {preview.props.children}
+          </HoverCardContent>
+        </HoverCardPortal>
+      </HoverCard>
+      <PopoverContent className="footnote-preview" side="top">
+        {preview.props.children}
+        <a className="footnote-preview-link" href={href} onClick={goToFootnote}>
+          Go to footnote
+        </a>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+// Back-links return to the reference the reader followed, where they left it.
+const FootnoteBackLink = ({ href, children, ...props }) => (
+  <a
+    href={href}
+    {...props}
+    onClick={(event) => {
+      if (returnToReference(idFromHash(href))) {
+        event.preventDefault();
+      }
+    }}
+  >
+    {children}
+  </a>
+);
+
+// Link renderer for post markdown: footnote references and back-links get
+// the behaviour above, every other link renders as usual.
+const FootnoteLink = ({ node, ...props }) => {
+  if (props['data-footnote-ref'] !== undefined) {
+    return <FootnoteReference {...props} />;
+  }
+  if (props['data-footnote-backref'] !== undefined) {
+    return <FootnoteBackLink {...props} />;
+  }
+  return <a {...props}>{props.children}</a>;
+};
+
+export default FootnoteLink;
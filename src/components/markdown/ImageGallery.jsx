@@ -0,0 +1,88 @@
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+import { ChevronLeft, ChevronRight, ZoomIn, ZoomOut } from 'lucide-react';
+import { Dialog, DialogContent, DialogDescription, DialogTitle } from '../ui/dialog';
+import './ImageGallery.css';
+
+const ImageGalleryContext = createContext(null);
+
+export const useImageGallery = () => useContext(ImageGalleryContext);
+
+// Lightbox for the images of one article. PostImage registers each image under
+// the index rehypeImages gave it; the arrow keys step through them in order.
+export const ImageGalleryProvider = ({ children }) => {
+  const [images, setImages] = useState({});
+  const [openIndex, setOpenIndex] = useState(null);
+  const [zoomed, setZoomed] = useState(false);
+
+  const register = useCallback((index, image) => {
+    setImages(current => ({ ...current, [index]: image }));
+    return () => {
+      setImages(({ [index]: removed, ...rest }) => rest);
+    };
+  }, []);
+
+  const open = useCallback((index) => {
+    setOpenIndex(index);
+    setZoomed(false);
+  }, []);
+
+  const context = useMemo(() => ({ register, open }), [register, open]);
+
+  const order = Object.keys(images).map(Number).sort((a, b) => a - b);
+  const position = order.indexOf(openIndex);
+  const image = images[openIndex];
+
+  const step = (offset) => {
+    if (order.length > 1) {
+      open(order[(position + offset + order.length) % order.length]);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowRight') {
+      event.preventDefault();
+      step(1);
+    } else if (event.key === 'ArrowLeft') {
+      event.preventDefault();
+      step(-1);
+    }
+  };
+
+  return (
+    <ImageGalleryContext.Provider value={context}>
+      {children}
+      <Dialog open={Boolean(image)} onOpenChange={isOpen => !isOpen && setOpenIndex(null)}>
+        {image && (
+          <DialogContent className="image-lightbox" onKeyDown={handleKeyDown}>
+            <DialogTitle className="image-lightbox-title">{image.caption || image.alt || 'Image'}</DialogTitle>
+            <DialogDescription className="sr-only">
+              Image {position + 1} of {order.length}. Use the arrow keys to move between images.
+            </DialogDescription>
+
+            <div className={`image-lightbox-stage${zoomed ? ' zoomed' : ''}`}>
+              <img src={image.src} alt={image.alt} />
+            </div>
+
+            <div className="image-lightbox-controls">
+              <button type="button" onClick={() => setZoomed(!zoomed)} aria-pressed={zoomed}>
+                {zoomed ? <ZoomOut /> : <ZoomIn />}
+                {zoomed ? 'Zoom out' : 'Zoom in'}
+              </button>
+              {order.length > 1 && (
+                <div className="image-lightbox-nav">
+                  <button type="button" onClick={() => step(-1)} aria-label="Previous image">
+                    <ChevronLeft />
+                  </button>
+                  <span aria-hidden="true">{position + 1} / {order.length}</span>
+                  <button type="button" onClick={() => step(1)} aria-label="Next image">
+                    <ChevronRight />
+                  </button>
+                </div>
+              )}
+            </div>
+          </DialogContent>
+        )}
+      </Dialog>
+    </ImageGalleryContext.Provider>
+  );
+};
@@ -0,0 +1,83 @@
+import React, { useEffect, useId, useState } from 'react';
+import { useTheme } from 'next-themes';
+import './MermaidDiagram.css';
+
+// Mermaid is large, so it is only fetched once a post actually has a diagram.
+let mermaidPromise = null;
+
+const loadMermaid = () => {
+  if (!mermaidPromise) {
+    mermaidPromise = import(/* webpackChunkName: "mermaid" */ 'mermaid')
+      .then(module => module.default)
+      .catch((error) => {
+        mermaidPromise = null;
+        throw error;
+      });
+  }
+  return mermaidPromise;
+};
+
+/**
+ * Renders a ```mermaid fence as an SVG diagram in the current theme. Until
+ * then (and when prerendering or if the diagram does not parse), the source
+ * is shown as a plain code block instead.
+ */
+const MermaidDiagram = ({ source }) => {
+  const { resolvedTheme } = useTheme();
+  const [svg, setSvg] = useState(null);
+  const [error, setError] = useState(null);
+  // useId output contains colons, which mermaid's selectors do not accept
+  const id = `mermaid-${useId().replace(/[^a-zA-Z0-9-]/g, '')}`;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadMermaid()
+      .then(async (mermaid) => {
+        mermaid.initialize({
+          startOnLoad: false,
+          securityLevel: 'strict',
+          theme: resolvedTheme === 'dark' ? 'dark' : 'default',
+        });
+        const { svg: rendered } = await mermaid.render(id, source);
+        if (!cancelled) {
+          setSvg(rendered);
+          setError(null);
+        }
+      })
+      .catch((renderError) => {
+        // A failed render can leave mermaid's scratch element behind
+        document.getElementById(`d${id}`)?.remove();
+        if (!cancelled) {
+          setSvg(null);
+          setError(renderError);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, source, resolvedTheme]);
+
+  if (svg) {
+    return (
+      // mermaid sanitises its output under securityLevel "strict"
+      <figure className="mermaid-diagram" dangerouslySetInnerHTML={{ __html: svg }} />
+    );
+  }
+
+  return (
+    <div className="mermaid-fallback">
+      {error && (
+        <p className="mermaid-error">
+          This diagram could not be rendered; showing its source instead.
+        </p>
+      )}
+      <pre>
+        <code className="language-mermaid">{source}</code>
+      </pre>
+    </div>
+  );
+};
+
+export default MermaidDiagram;
@@ -0,0 +1,36 @@
+import React, { useEffect } from 'react';
+import { useImageGallery } from './ImageGallery';
+import './PostImage.css';
+
+// Images numbered by rehypeImages open in the article's lightbox; linked
+// images and those outside an ImageGalleryProvider render as they are.
+const PostImage = ({ node, alt = '', 'data-image-index': imageIndex, 'data-caption': caption, ...props }) => {
+  const gallery = useImageGallery();
+  const index = imageIndex === undefined ? null : Number(imageIndex);
+  const register = gallery && index !== null ? gallery.register : null;
+  const { src } = props;
+
+  useEffect(() => {
+    if (register) {
+      return register(index, { src, alt, caption });
+    }
+    return undefined;
+  }, [register, index, src, alt, caption]);
+
+  if (!register) {
+    return <img alt={alt} {...props} />;
+  }
+
+  return (
+    <button
+      type="button"
+      className="post-image-trigger"
+      onClick={() => gallery.open(index)}
+      aria-label={alt ? `Enlarge image: ${alt}` : 'Enlarge image'}
+    >
+      <img alt={alt} {...props} />
+    </button>
+  );
+};
+
+export default PostImage;
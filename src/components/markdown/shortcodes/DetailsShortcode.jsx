@@ -0,0 +1,13 @@
+import React from 'react';
+import './DetailsShortcode.css';
+
+// :::details[Summary] — a collapsed block, e.g. for spoilers or long output.
+// Native <details>, so it also works before the page hydrates.
+const DetailsShortcode = ({ attributes, label, children }) => (
+  <details className="shortcode-details" open={attributes.open !== undefined}>
+    <summary>{label || 'Details'}</summary>
+    <div className="shortcode-details-body">{children}</div>
+  </details>
+);
+
+export default DetailsShortcode;
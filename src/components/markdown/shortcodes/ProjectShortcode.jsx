@@ -0,0 +1,50 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowRight, Github } from 'lucide-react';
+import { Badge } from '../../ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../../ui/card';
+import { projects } from '../../../data/mockData';
+import ShortcodeWarning from './ShortcodeWarning';
+import './ProjectShortcode.css';
+
+// ::project{id="distributed-cache"} — a card for one of the projects in data/mockData.js.
+const ProjectShortcode = ({ attributes }) => {
+  const project = projects.find(({ id }) => id === attributes.id);
+  if (!project) {
+    return (
+      <ShortcodeWarning title="Unknown project">
+        No project has the id “{attributes.id}”. Use one of: {projects.map(({ id }) => id).join(', ')}.
+      </ShortcodeWarning>
+    );
+  }
+
+  return (
+    <Card className="shortcode-project">
+      <CardHeader>
+        <CardTitle className="shortcode-project-title">{project.name}</CardTitle>
+        <CardDescription>{project.description}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        <div className="shortcode-project-stack">
+          {project.techStack.map(tech => (
+            <Badge key={tech} variant="secondary">{tech}</Badge>
+          ))}
+        </div>
+        <div className="shortcode-project-links">
+          <Link to={`/projects#${project.id}`}>
+            View project
+            <ArrowRight size={16} />
+          </Link>
+          {project.github && (
+            <a href={project.github} target="_blank" rel="noopener noreferrer">
+              <Github size={16} />
+              Code
+            </a>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ProjectShortcode;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { TriangleAlert } from 'lucide-react';
+import { Alert, AlertDescription, AlertTitle } from '../../ui/alert';
+
+// Flags a shortcode that cannot be rendered. Only shown while developing;
+// production builds render nothing in its place.
+const ShortcodeWarning = ({ title, children }) => {
+  if (process.env.NODE_ENV === 'production') {
+    return null;
+  }
+
+  return (
+    <Alert variant="warning" className="shortcode-warning">
+      <TriangleAlert className="h-4 w-4" />
+      <AlertTitle>{title}</AlertTitle>
+      <AlertDescription>{children}</AlertDescription>
+    </Alert>
+  );
+};
+
+export default ShortcodeWarning;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../../ui/tabs';
+import './TabsShortcode.css';
+
+// :::tabs — one tab per :::tab[Label] block, or per code block, labelled by
+// its title or language (remarkDirectives wraps those in tab blocks).
+const TabsShortcode = ({ children }) => {
+  const tabs = React.Children.toArray(children).filter(
+    child => React.isValidElement(child) && child.props['data-directive'] === 'tab',
+  );
+
+  return (
+    <Tabs defaultValue="0" className="shortcode-tabs">
+      <TabsList className="shortcode-tabs-list">
+        {tabs.map((tab, i) => (
+          <TabsTrigger key={tab.key} value={String(i)}>
+            {tab.props['data-directive-label']}
+          </TabsTrigger>
+        ))}
+      </TabsList>
+      {tabs.map((tab, i) => (
+        <TabsContent key={tab.key} value={String(i)} className="shortcode-tabs-panel">
+          {tab.props.children}
+        </TabsContent>
+      ))}
+    </Tabs>
+  );
+};
+
+export default TabsShortcode;
@@ -0,0 +1,13 @@
+// Shortcode registry: directive name -> component. A shortcode receives the
+// directive's `attributes` ({} if none), its `label` (the [text] after the
+// name) and, for container directives, the rendered content as `children`.
+// Register new shortcodes here; they need no other wiring.
+import DetailsShortcode from './DetailsShortcode';
+import ProjectShortcode from './ProjectShortcode';
+import TabsShortcode from './TabsShortcode';
+
+export const shortcodes = {
+  details: DetailsShortcode,
+  project: ProjectShortcode,
+  tabs: TabsShortcode,
+};
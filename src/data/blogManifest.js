@@ -0,0 +1,55 @@
+// Blog content manifest, generated at build time from public/blogs by
+// plugins/blog-manifest. Add a post by dropping a markdown file there.
+import blogManifest from '../generated/blog-manifest.json';
+import { isPostLive } from '../lib/publishing';
+
+// Every post in the manifest. Drafts and scheduled posts are only included
+// in preview builds (BLOG_PREVIEW=true) and on the dev server.
+const allPosts = blogManifest.posts;
+
+const previewToken = process.env.REACT_APP_BLOG_PREVIEW_TOKEN;
+
+export { isPostLive };
+
+export const getPublishedPosts = (now = Date.now()) =>
+  allPosts.filter(post => isPostLive(post, now));
+
+export const isValidPreviewToken = (token) => Boolean(previewToken) && token === previewToken;
+
+// Posts that are not live resolve only when a valid preview token is passed.
+export const getPostBySlug = (slug, { previewToken: token } = {}) => {
+  const post = allPosts.find(p => p.id === slug);
+  if (!post || (!isPostLive(post) && !isValidPreviewToken(token))) {
+    return undefined;
+  }
+  return post;
+};
+
+const tagSlugs = new Map(blogManifest.tags.map(tag => [tag.name, tag.slug]));
+
+export const getTagSlug = (tag) => tagSlugs.get(tag);
+
+// Tag name for a /blog/tag/:tag URL segment, or undefined for an unknown slug.
+export const getTagBySlug = (slug) => {
+  const tag = blogManifest.tags.find(candidate => candidate.slug === slug);
+  return tag && tag.name;
+};
+
+export const getTagPath = (tag) => `/blog/tag/${getTagSlug(tag)}`;
+
+// Feeds emitted by plugins/blog-feeds, site-wide or for a single tag.
+export const getFeedUrls = (tag) => {
+  const base = tag ? `/tags/${getTagSlug(tag)}/` : '/';
+  return {
+    rss: `${base}rss.xml`,
+    atom: `${base}atom.xml`,
+    json: `${base}feed.json`,
+  };
+};
+
+// The hash changes whenever the file does, so stale copies are never served from cache.
+export const getPostMarkdownUrl = (post) => `/blogs/${post.markdownFile}?v=${post.hash}`;
+
+// The fetched markdown still carries its frontmatter block; strip it before rendering.
+export const stripFrontmatter = (markdown) =>
+  markdown.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '');
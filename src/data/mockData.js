@@ -18,49 +18,6 @@ export const profileData = {
   }
 };
 
-export const blogPosts = [
-  {
-    id: "understanding-database-indexes",
-    title: "Understanding Database Indexes: B-Trees vs LSM-Trees",
-    excerpt: "A deep dive into how different database index structures work and when to use each one for optimal performance.",
-    date: "2025-01-15",
-    readTime: "8 min read",
-    tags: ["Database", "Performance", "Data Structures"],
-    markdownFile: "understanding-database-indexes.md",
-    published: true
-  },
-  {
-    id: "low-latency-communication",
-    title: "Achieving Low Latency in Distributed Systems",
-    excerpt: "Techniques and patterns for building ultra-low latency communication systems including TCP optimizations and zero-copy strategies.",
-    date: "2025-01-10",
-    readTime: "12 min read",
-    tags: ["System Design", "Performance", "Networking"],
-    markdownFile: "low-latency-communication.md",
-    published: true
-  },
-  {
-    id: "microservices-patterns",
-    title: "Essential Microservices Patterns Every Backend Engineer Should Know",
-    excerpt: "Explore critical patterns like Circuit Breaker, Saga, and API Gateway that are essential for building robust microservices architectures.",
-    date: "2025-01-05",
-    readTime: "10 min read",
-    tags: ["Microservices", "Backend", "Architecture"],
-    markdownFile: "microservices-patterns.md",
-    published: true
-  },
-  {
-    id: "postgres-query-optimization",
-    title: "PostgreSQL Query Optimization Techniques",
-    excerpt: "Learn how to analyze and optimize PostgreSQL queries using EXPLAIN, proper indexing strategies, and query rewriting techniques.",
-    date: "2024-12-28",
-    readTime: "15 min read",
-    tags: ["PostgreSQL", "Database", "Optimization"],
-    markdownFile: "postgres-query-optimization.md",
-    published: true
-  }
-];
-
 export const projects = [
   {
     id: "distributed-cache",
@@ -0,0 +1,9 @@
+// Top-level pages, in the order the Header lists them. The command palette
+// offers the same list.
+export const navLinks = [
+  { path: '/', label: 'Home' },
+  { path: '/about', label: 'About' },
+  { path: '/blog', label: 'Blog' },
+  { path: '/projects', label: 'Projects' },
+  { path: '/contact', label: 'Contact' },
+];
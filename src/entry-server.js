@@ -0,0 +1,36 @@
+// Server entry used by plugins/prerender to render each route to static HTML
+// at build time. Not part of the browser bundle.
+import React from "react";
+import { renderToString } from "react-dom/server";
+import { StaticRouter } from "react-router-dom";
+import App from "@/App";
+import { HeadContext, SEO_ATTRIBUTE } from "@/components/Seo";
+import { headTags, headTagsToHtml } from "@/lib/seo";
+import { setPrerenderData } from "@/lib/prerenderData";
+
+/**
+ * Renders `url` with `data` (see lib/prerenderData.js) and returns the app
+ * HTML plus the page's <title> text and head tags.
+ */
+export function render(url, data = {}) {
+  const head = {};
+  setPrerenderData(data);
+
+  try {
+    const html = renderToString(
+      <HeadContext.Provider value={head}>
+        <StaticRouter location={url}>
+          <App />
+        </StaticRouter>
+      </HeadContext.Provider>,
+    );
+
+    return {
+      html,
+      title: head.meta ? head.meta.title : null,
+      headTags: head.meta ? headTagsToHtml(headTags(head.meta), SEO_ATTRIBUTE) : "",
+    };
+  } finally {
+    setPrerenderData(null);
+  }
+}
@@ -0,0 +1,54 @@
+import * as React from "react"
+
+// Distance from the top of the viewport at which a heading counts as
+// "current"; clears the fixed header.
+const DEFAULT_OFFSET = 120
+
+/**
+ * Scroll-spy: returns the id of the last heading in `ids` that has scrolled
+ * past the top of the viewport, or null while above the first one.
+ */
+export function useActiveHeading(ids, { offset = DEFAULT_OFFSET } = {}) {
+  const [activeId, setActiveId] = React.useState(null)
+
+  React.useEffect(() => {
+    if (ids.length === 0) {
+      setActiveId(null)
+      return undefined
+    }
+
+    let frame = null
+
+    const update = () => {
+      frame = null
+      let current = null
+      for (const id of ids) {
+        const element = document.getElementById(id)
+        if (element && element.getBoundingClientRect().top - offset <= 0) {
+          current = id
+        }
+      }
+      setActiveId(current)
+    }
+
+    const onScroll = () => {
+      if (frame === null) {
+        frame = window.requestAnimationFrame(update)
+      }
+    }
+
+    update()
+    window.addEventListener("scroll", onScroll, { passive: true })
+    window.addEventListener("resize", onScroll)
+
+    return () => {
+      window.removeEventListener("scroll", onScroll)
+      window.removeEventListener("resize", onScroll)
+      if (frame !== null) {
+        window.cancelAnimationFrame(frame)
+      }
+    }
+  }, [ids, offset])
+
+  return activeId
+}
@@ -0,0 +1,13 @@
+import * as React from "react"
+
+const subscribe = () => () => {}
+
+/**
+ * False while React hydrates the prerendered HTML (and while prerendering),
+ * true from the render after that and on every client-only render. State the
+ * prerendered page could not know, such as the query string, should wait
+ * for it so the first client render matches the server HTML.
+ */
+export function useHydrated() {
+  return React.useSyncExternalStore(subscribe, () => true, () => false)
+}
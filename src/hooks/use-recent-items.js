@@ -0,0 +1,39 @@
+import * as React from "react"
+
+const DEFAULT_LIMIT = 5
+
+function readStored(key) {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(key))
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Most-recently-used list of ids persisted in localStorage under `key`,
+ * newest first. Storage failures (private mode, quota) only cost persistence.
+ */
+export function useRecentItems(key, { limit = DEFAULT_LIMIT } = {}) {
+  const [items, setItems] = React.useState([])
+
+  // Read after mount so prerendered markup matches the first client render
+  React.useEffect(() => {
+    setItems(readStored(key))
+  }, [key])
+
+  const addItem = React.useCallback((id) => {
+    setItems((current) => {
+      const next = [id, ...current.filter((item) => item !== id)].slice(0, limit)
+      try {
+        window.localStorage.setItem(key, JSON.stringify(next))
+      } catch {
+        // Keep the in-memory list
+      }
+      return next
+    })
+  }, [key, limit])
+
+  return [items, addItem]
+}
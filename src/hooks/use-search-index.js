@@ -0,0 +1,33 @@
+import * as React from "react"
+import { loadSearchIndex } from "@/lib/search"
+
+/**
+ * The blog's full-text search index, or null until it has loaded. Nothing is
+ * fetched until `enabled` first becomes true.
+ */
+export function useSearchIndex(enabled) {
+  const [index, setIndex] = React.useState(null)
+
+  React.useEffect(() => {
+    if (!enabled || index) {
+      return undefined
+    }
+
+    let cancelled = false
+    loadSearchIndex()
+      .then((loaded) => {
+        if (!cancelled) {
+          setIndex(loaded)
+        }
+      })
+      .catch(() => {
+        // Search falls back to titles and excerpts; a later call retries.
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [enabled, index])
+
+  return index
+}
@@ -0,0 +1,73 @@
+// Groups posts by publication month for the blog archive. Pure, like
+// postNavigation.js: callers pass the posts that are eligible.
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+const yearOf = (post) => Number(post.date.slice(0, 4));
+const monthOf = (post) => Number(post.date.slice(5, 7));
+
+// 1-based month number to its name, e.g. 3 -> "March".
+export const getMonthName = (month) => MONTH_NAMES[month - 1];
+
+// URL form of an archive page: /blog/archive/2024 or /blog/archive/2024/03.
+export const getArchivePath = (year, month) =>
+  (month ? `/blog/archive/${year}/${String(month).padStart(2, '0')}` : `/blog/archive/${year}`);
+
+/**
+ * Parses the :year and :month route params. Returns null for anything that
+ * is not a four-digit year and, when given, a month from 1 to 12.
+ */
+export function parseArchiveParams({ year, month }) {
+  if (!/^\d{4}$/.test(year || '')) {
+    return null;
+  }
+  if (month === undefined) {
+    return { year: Number(year), month: null };
+  }
+  const monthNumber = /^\d{1,2}$/.test(month) ? Number(month) : 0;
+  return monthNumber >= 1 && monthNumber <= 12 ? { year: Number(year), month: monthNumber } : null;
+}
+
+// Posts from `year`, and from `month` of that year when given.
+export const getArchivePosts = (posts, { year, month }) =>
+  posts.filter(post => yearOf(post) === year && (!month || monthOf(post) === month));
+
+/**
+ * Years, newest first, each with its months (newest first) and post counts:
+ * [{ year, count, months: [{ month, count, posts }] }].
+ */
+export function groupByMonth(posts) {
+  const years = new Map();
+
+  for (const post of posts) {
+    const year = yearOf(post);
+    const month = monthOf(post);
+    if (!years.has(year)) {
+      years.set(year, new Map());
+    }
+    const months = years.get(year);
+    if (!months.has(month)) {
+      months.set(month, []);
+    }
+    months.get(month).push(post);
+  }
+
+  return [...years.entries()]
+    .sort(([a], [b]) => b - a)
+    .map(([year, months]) => {
+      const monthList = [...months.entries()]
+        .sort(([a], [b]) => b - a)
+        .map(([month, monthPosts]) => ({ month, count: monthPosts.length, posts: monthPosts }));
+      return {
+        year,
+        count: monthList.reduce((sum, month) => sum + month.count, 0),
+        months: monthList,
+      };
+    });
+}
+
+// "1 post", "3 posts"
+export const formatPostCount = (count) => `${count} ${count === 1 ? 'post' : 'posts'}`;
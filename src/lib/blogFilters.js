@@ -0,0 +1,120 @@
+// Blog list filters and their query-string form. The URL is the only store
+// of filter state, so reloads, shared links and back/forward all restore it.
+
+export const SORT_OPTIONS = {
+  newest: 'Newest first',
+  oldest: 'Oldest first',
+  longest: 'Longest read',
+};
+
+// With a search query and no explicit sort, results keep their ranking.
+export const RELEVANCE_SORT = 'relevance';
+
+export const TAG_MATCH_ANY = 'any';
+export const TAG_MATCH_ALL = 'all';
+
+export const POSTS_PER_PAGE = 5;
+
+const DEFAULT_SORT = 'newest';
+
+/**
+ * Reads filters from `?q=&tag=a&tag=b&match=all&sort=oldest&page=2`.
+ * Unknown or malformed values fall back to the defaults.
+ */
+export function parseBlogFilters(searchParams) {
+  const query = searchParams.get('q') || '';
+  const sortParam = searchParams.get('sort');
+  const page = Number.parseInt(searchParams.get('page'), 10);
+
+  let sort = SORT_OPTIONS[sortParam] ? sortParam : DEFAULT_SORT;
+  if (!sortParam && query.trim()) {
+    sort = RELEVANCE_SORT;
+  }
+
+  return {
+    query,
+    tags: [...new Set(searchParams.getAll('tag').filter(Boolean))],
+    match: searchParams.get('match') === TAG_MATCH_ALL ? TAG_MATCH_ALL : TAG_MATCH_ANY,
+    sort,
+    page: page > 0 ? page : 1,
+  };
+}
+
+/**
+ * Inverse of parseBlogFilters; defaults are left out to keep URLs short.
+ * "newest" is kept alongside a query, where the default is relevance.
+ */
+export function serializeBlogFilters({ query, tags, match, sort, page }) {
+  const params = new URLSearchParams();
+  if (query) {
+    params.set('q', query);
+  }
+  tags.forEach(tag => params.append('tag', tag));
+  if (match === TAG_MATCH_ALL && tags.length > 1) {
+    params.set('match', TAG_MATCH_ALL);
+  }
+  if (sort !== RELEVANCE_SORT && (sort !== DEFAULT_SORT || query.trim())) {
+    params.set('sort', sort);
+  }
+  if (page > 1) {
+    params.set('page', String(page));
+  }
+  return params;
+}
+
+/**
+ * Posts carrying any (`match` "any") or every ("all") one of `tags`.
+ * No tags means no filtering.
+ */
+export function filterByTags(posts, tags, match = TAG_MATCH_ANY) {
+  if (tags.length === 0) {
+    return posts;
+  }
+  const test = match === TAG_MATCH_ALL ? 'every' : 'some';
+  return posts.filter(post => tags[test](tag => post.tags.includes(tag)));
+}
+
+const byDate = (a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id);
+
+const COMPARATORS = {
+  newest: (a, b) => byDate(b, a),
+  oldest: byDate,
+  longest: (a, b) => b.readingMinutes - a.readingMinutes || b.wordCount - a.wordCount || byDate(b, a),
+};
+
+// Returns a sorted copy; the relevance sort keeps the order it is given.
+export function sortPosts(posts, sort) {
+  const compare = COMPARATORS[sort];
+  return compare ? [...posts].sort(compare) : posts;
+}
+
+/**
+ * The slice of `items` on `page` (1-based), clamped to the last page so a
+ * stale ?page= still shows something.
+ */
+export function paginate(items, page, perPage = POSTS_PER_PAGE) {
+  const pageCount = Math.max(1, Math.ceil(items.length / perPage));
+  const current = Math.min(page, pageCount);
+  return {
+    items: items.slice((current - 1) * perPage, current * perPage),
+    page: current,
+    pageCount,
+  };
+}
+
+/**
+ * Page numbers to show in the pagination bar, with null where pages are
+ * elided: first, last, and `siblings` either side of the current page.
+ */
+export function getPageRange(page, pageCount, siblings = 1) {
+  const pages = [];
+  for (let number = 1; number <= pageCount; number += 1) {
+    const isEdge = number === 1 || number === pageCount;
+    if (isEdge || Math.abs(number - page) <= siblings) {
+      pages.push(number);
+    } else if (pages[pages.length - 1] !== null) {
+      pages.push(null);
+    }
+  }
+  return pages;
+}
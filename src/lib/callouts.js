@@ -0,0 +1,49 @@
+// GitHub-style callouts: a blockquote whose first line is a marker such as
+// [!NOTE]. remarkCallouts strips the marker and tags the blockquote with
+// data-callout for the Callout renderer; unknown types are left untouched.
+// CommonJS, so the feed renderer in plugins/blog-feeds can require it as well.
+
+const CALLOUT_TYPES = ['note', 'tip', 'warning', 'caution'];
+
+const MARKER = /^\[!([a-z]+)\][ \t]*(?:\r?\n|$)/i;
+
+function remarkCallouts() {
+  return (tree) => {
+    const visit = (node) => {
+      if (node.type === 'blockquote') {
+        tagCallout(node);
+      }
+      (node.children || []).forEach(visit);
+    };
+    visit(tree);
+  };
+}
+
+function tagCallout(blockquote) {
+  const paragraph = blockquote.children[0];
+  const text = paragraph && paragraph.type === 'paragraph' ? paragraph.children[0] : null;
+  const match = text && text.type === 'text' ? text.value.match(MARKER) : null;
+  if (!match || !CALLOUT_TYPES.includes(match[1].toLowerCase())) {
+    return;
+  }
+
+  text.value = text.value.slice(match[0].length);
+  if (!text.value) {
+    paragraph.children.shift();
+  }
+  // "> [!NOTE]" on a line of its own, with the body in later paragraphs
+  if (paragraph.children.length === 0) {
+    blockquote.children.shift();
+  }
+
+  // Object.assign, not spread: Babel would import a helper for the spread,
+  // which makes webpack treat this file as an ES module without exports.
+  const data = Object.assign({}, blockquote.data);
+  data.hProperties = Object.assign({}, data.hProperties, { dataCallout: match[1].toLowerCase() });
+  blockquote.data = data;
+}
+
+module.exports = {
+  CALLOUT_TYPES,
+  remarkCallouts,
+};
@@ -0,0 +1,125 @@
+// Fence meta for code blocks: ```sql title="indexes.sql" {3-5} showLineNumbers
+// rehypeCodeBlocks splits highlighted code into numbered lines and records
+// the options as data attributes for the CodeBlock renderer and its CSS.
+
+const TITLE = /\btitle=(?:"([^"]*)"|'([^']*)')/;
+const LINE_RANGES = /\{([\d\s,-]+)\}/;
+const LINE_NUMBERS = /(?:^|\s)showLineNumbers(?:\s|$)/;
+
+// "1,3-5" -> Set {1, 3, 4, 5}; reversed and malformed ranges are ignored.
+export function parseLineRanges(ranges) {
+  const lines = new Set();
+  for (const range of ranges.split(',')) {
+    const [start, end = start] = range.trim().split('-').map(Number);
+    if (Number.isInteger(start) && Number.isInteger(end) && start > 0 && start <= end) {
+      for (let line = start; line <= end; line += 1) {
+        lines.add(line);
+      }
+    }
+  }
+  return lines;
+}
+
+export function parseCodeMeta(meta = '') {
+  const title = meta.match(TITLE);
+  const ranges = meta.match(LINE_RANGES);
+  return {
+    title: title ? title[1] ?? title[2] : null,
+    highlightLines: ranges ? parseLineRanges(ranges[1]) : new Set(),
+    showLineNumbers: LINE_NUMBERS.test(meta),
+  };
+}
+
+const shallowClone = ({ children, ...element }) => ({ ...element, properties: { ...element.properties } });
+
+/**
+ * Splits hast nodes into lines at every "\n". Highlighting can span lines
+ * (block comments, multi-line strings), so each piece of text is re-wrapped
+ * in copies of the elements it sat in.
+ */
+function splitLines(nodes) {
+  const lines = [[]];
+
+  const visit = (node, ancestors) => {
+    if (node.type === 'text') {
+      node.value.split('\n').forEach((part, i) => {
+        if (i > 0) {
+          lines.push([]);
+        }
+        if (part) {
+          const wrapped = ancestors.reduceRight(
+            (child, ancestor) => ({ ...shallowClone(ancestor), children: [child] }),
+            { type: 'text', value: part },
+          );
+          lines[lines.length - 1].push(wrapped);
+        }
+      });
+    } else if (node.type === 'element') {
+      node.children.forEach(child => visit(child, [...ancestors, node]));
+    }
+  };
+  nodes.forEach(node => visit(node, []));
+
+  // The newline that ends the last line does not start another
+  if (lines.length > 1 && lines[lines.length - 1].length === 0) {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Rehype plugin that copies the fence meta remark-rehype stores in
+ * `code.data.meta` to a data-meta property; rehype-raw drops `data`, so
+ * this runs before it.
+ */
+export function rehypeCodeMeta() {
+  return (tree) => {
+    const visit = (node) => {
+      if (node.tagName === 'code' && node.data && node.data.meta) {
+        node.properties = { ...node.properties, dataMeta: node.data.meta };
+      }
+      (node.children || []).forEach(visit);
+    };
+    visit(tree);
+  };
+}
+
+// Rehype plugin; runs after rehype-highlight and reads the meta rehypeCodeMeta kept.
+export function rehypeCodeBlocks() {
+  return (tree) => {
+    const visit = (node) => {
+      const code = node.tagName === 'pre' && node.children.find(child => child.tagName === 'code');
+      if (!code) {
+        (node.children || []).forEach(visit);
+        return;
+      }
+
+      const { dataMeta, ...properties } = code.properties || {};
+      const { title, highlightLines, showLineNumbers } = parseCodeMeta(dataMeta);
+      code.properties = properties;
+      const lines = splitLines(code.children);
+
+      code.children = lines.flatMap((line, i) => {
+        const number = i + 1;
+        const span = {
+          type: 'element',
+          tagName: 'span',
+          properties: {
+            className: ['code-line'],
+            dataLine: number,
+            ...(highlightLines.has(number) && { dataHighlighted: '' }),
+          },
+          children: line,
+        };
+        return i < lines.length - 1 ? [span, { type: 'text', value: '\n' }] : [span];
+      });
+
+      node.properties = {
+        ...node.properties,
+        ...(title && { dataTitle: title }),
+        ...(showLineNumbers && { dataLineNumbers: '' }),
+      };
+    };
+    visit(tree);
+  };
+}
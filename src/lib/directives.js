@@ -0,0 +1,84 @@
+// Shortcodes in post markdown, written as remark-directive blocks:
+//
+//   :::details[Why not MDX?]    ::project{id="distributed-cache"}
+//   ...
+//   :::
+//
+// remarkDirectives turns container and leaf directives into
+// div[data-directive] elements that the Directive renderer looks up in the
+// shortcode registry. Text directives (:name) are put back as the text they
+// were written as, so prose such as "Note:this" is not swallowed.
+import { parseCodeMeta } from './codeBlocks';
+
+const isLabel = node => node.type === 'paragraph' && node.data && node.data.directiveLabel;
+
+const toText = node =>
+  (node.value !== undefined ? node.value : (node.children || []).map(toText).join(''));
+
+const toElement = (node, label) => {
+  node.data = {
+    ...node.data,
+    hName: 'div',
+    hProperties: {
+      dataDirective: node.name,
+      dataDirectiveAttributes: JSON.stringify(node.attributes || {}),
+      ...(label && { dataDirectiveLabel: label }),
+    },
+  };
+};
+
+// Every direct child of :::tabs becomes a tab: a :::tab[Label] block as written,
+// anything else (usually a code block) wrapped in one labelled by its title or language.
+function tabLabel(node, index) {
+  if (node.type === 'code') {
+    return parseCodeMeta(node.meta || '').title || node.lang || `Tab ${index + 1}`;
+  }
+  return `Tab ${index + 1}`;
+}
+
+function toTabs(node) {
+  node.children = node.children.map((child, index) => {
+    if (child.type === 'containerDirective' && child.name === 'tab') {
+      return child;
+    }
+    const label = { type: 'paragraph', data: { directiveLabel: true }, children: [{ type: 'text', value: tabLabel(child, index) }] };
+    return { type: 'containerDirective', name: 'tab', attributes: {}, children: [label, child] };
+  });
+}
+
+export function remarkDirectives() {
+  return (tree, file) => {
+    const visit = (node, index, parent) => {
+      if (node.type === 'textDirective') {
+        const { start, end } = node.position;
+        parent.children[index] = { type: 'text', value: String(file.value).slice(start.offset, end.offset) };
+        return;
+      }
+
+      if (node.type === 'containerDirective') {
+        const label = node.children.find(isLabel);
+        node.children = node.children.filter(child => child !== label);
+        if (node.name === 'tabs') {
+          toTabs(node);
+        }
+        toElement(node, label ? toText(label) : null);
+      } else if (node.type === 'leafDirective') {
+        toElement(node, toText(node) || null);
+        node.children = [];
+      }
+
+      (node.children || []).forEach((child, i) => visit(child, i, node));
+    };
+    visit(tree, null, null);
+  };
+}
+
+// Attributes come back from the rendered element as a JSON string.
+export function parseDirectiveAttributes(json) {
+  try {
+    const attributes = JSON.parse(json || '{}');
+    return attributes && typeof attributes === 'object' ? attributes : {};
+  } catch {
+    return {};
+  }
+}
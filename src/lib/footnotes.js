@@ -0,0 +1,94 @@
+// GFM footnotes: rehypeFootnotePreviews copies each footnote's content into
+// its references for the hover preview, and rememberReference /
+// returnToReference bring a reader back to the reference they followed.
+import { replaceHash } from './headings';
+
+const isElement = (node, tagName) => node.type === 'element' && node.tagName === tagName;
+
+// Copy of a footnote's content without its back-links or ids, which must stay unique.
+function toPreview(node) {
+  if (node.type !== 'element') {
+    return { ...node };
+  }
+  const { id, ...properties } = node.properties || {};
+  return {
+    ...node,
+    properties,
+    children: node.children
+      .filter(child => !(isElement(child, 'a') && child.properties.dataFootnoteBackref !== undefined))
+      .map(toPreview),
+  };
+}
+
+const isFootnoteLink = node => isElement(node, 'a')
+  && (node.properties.dataFootnoteRef !== undefined || node.properties.dataFootnoteBackref !== undefined);
+
+/**
+ * Rehype plugin that appends a `span[data-footnote-preview]` holding the
+ * footnote's content to every footnote reference. Runs after the plugins
+ * that render math and code, so the preview matches the footnote itself.
+ *
+ * rehype-sanitize adds `clobberPrefix` to the ids of footnotes and their
+ * references but not to the links between them, so it is added here.
+ */
+export function rehypeFootnotePreviews({ clobberPrefix = '' } = {}) {
+  return (tree) => {
+    const footnotes = new Map();
+    const references = [];
+
+    const visit = (node, inFootnotes) => {
+      if (inFootnotes && isElement(node, 'li') && node.properties.id) {
+        footnotes.set(node.properties.id, node);
+      } else if (isFootnoteLink(node)) {
+        node.properties.href = `#${clobberPrefix}${String(node.properties.href).slice(1)}`;
+        if (node.properties.dataFootnoteRef !== undefined) {
+          references.push(node);
+        }
+      }
+      const isSection = isElement(node, 'section') && node.properties.dataFootnotes !== undefined;
+      (node.children || []).forEach(child => visit(child, inFootnotes || isSection));
+    };
+    visit(tree, false);
+
+    references.forEach((reference) => {
+      const footnote = footnotes.get(String(reference.properties.href).slice(1));
+      if (footnote) {
+        reference.children.push({
+          type: 'element',
+          tagName: 'span',
+          properties: { dataFootnotePreview: '' },
+          children: footnote.children.map(toPreview),
+        });
+      }
+    });
+  };
+}
+
+let lastReference = null;
+
+// Records where the reference sat in the viewport as the reader follows it.
+export function rememberReference(element) {
+  lastReference = { id: element.id, top: element.getBoundingClientRect().top };
+}
+
+/**
+ * Scrolls reference `id` back to where it was when the reader left it (or to
+ * the middle of the viewport if they arrived some other way), then focuses
+ * and briefly highlights it.
+ */
+export function returnToReference(id) {
+  const element = document.getElementById(id);
+  if (!element) {
+    return false;
+  }
+
+  const { top } = element.getBoundingClientRect();
+  const target = lastReference && lastReference.id === id ? lastReference.top : window.innerHeight / 2;
+  window.scrollTo({ top: window.scrollY + top - target });
+  replaceHash(id);
+
+  element.focus({ preventScroll: true });
+  element.classList.add('footnote-returned');
+  element.addEventListener('animationend', () => element.classList.remove('footnote-returned'), { once: true });
+  return true;
+}
@@ -0,0 +1,94 @@
+// Heading ids shared by the markdown renderer and the table of contents,
+// so a TOC entry always points at the heading it was generated from.
+
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Returns a slug function that suffixes repeats with -1, -2, ... in the order
+ * it is called, so the same headings in the same order always get the same ids.
+ */
+export function createSlugger() {
+  const seen = new Map();
+
+  return (text) => {
+    const base = slugify(text) || 'section';
+    let slug = base;
+    let count = seen.get(base) || 0;
+
+    while (seen.has(slug)) {
+      count += 1;
+      slug = `${base}-${count}`;
+    }
+
+    seen.set(base, count);
+    seen.set(slug, 0);
+    return slug;
+  };
+}
+
+// Assigns ids to a post outline exactly as rehypeHeadingIds does for the rendered article.
+export function withHeadingIds(outline) {
+  const slug = createSlugger();
+  return outline.map(heading => ({ ...heading, id: slug(heading.text) }));
+}
+
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+function textContent(node) {
+  if (node.type === 'text') {
+    return node.value;
+  }
+  return (node.children || []).map(textContent).join('');
+}
+
+// Rehype plugin that gives every heading without an id a unique one derived from its text.
+export function rehypeHeadingIds() {
+  return (tree) => {
+    const slug = createSlugger();
+
+    const visit = (node) => {
+      if (node.type === 'element' && HEADING_TAGS.has(node.tagName)) {
+        node.properties = node.properties || {};
+        if (!node.properties.id) {
+          node.properties.id = slug(textContent(node));
+        }
+        return;
+      }
+      (node.children || []).forEach(visit);
+    };
+    visit(tree);
+  };
+}
+
+// The element id a `#fragment` (a location hash or an in-page href) points
+// at. A malformed escape such as "#%E0" is taken as written.
+export function idFromHash(hash) {
+  const fragment = hash.replace(/^#/, '');
+  try {
+    return decodeURIComponent(fragment);
+  } catch {
+    return fragment;
+  }
+}
+
+// Updates the URL hash without adding a history entry or triggering a jump.
+export function replaceHash(id) {
+  const { pathname, search } = window.location;
+  window.history.replaceState(window.history.state, '', `${pathname}${search}${id ? `#${id}` : ''}`);
+}
+
+export function scrollToHeading(id, { behavior = 'smooth' } = {}) {
+  const element = document.getElementById(id);
+  if (!element) {
+    return false;
+  }
+  element.scrollIntoView({ behavior, block: 'start' });
+  replaceHash(id);
+  return true;
+}
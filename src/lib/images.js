@@ -0,0 +1,64 @@
+// Post images: rehypeImages lazy-loads every <img>, gives local images the
+// intrinsic size recorded in the blog manifest, turns the title of an image
+// that stands alone in its paragraph into a <figure> caption, and numbers the
+// images the lightbox can open.
+
+const isElement = (node, tagName) => node.type === 'element' && node.tagName === tagName;
+const isBlank = node => node.type === 'text' && !node.value.trim();
+
+const toFigure = (image, caption) => ({
+  type: 'element',
+  tagName: 'figure',
+  properties: { className: ['post-figure'] },
+  children: [
+    image,
+    { type: 'element', tagName: 'figcaption', properties: {}, children: [{ type: 'text', value: caption }] },
+  ],
+});
+
+/**
+ * Rehype plugin; runs after rehype-sanitize. `sizes` maps image sources to
+ * { width, height }. Linked images keep their link and are not zoomable.
+ */
+export function rehypeImages({ sizes = {} } = {}) {
+  return (tree) => {
+    let index = 0;
+
+    const prepare = (image, linked) => {
+      const { src, width, height } = image.properties;
+      const size = !width && !height && sizes[src];
+      image.properties = {
+        ...image.properties,
+        ...(size && { width: size.width, height: size.height }),
+        loading: 'lazy',
+        decoding: 'async',
+      };
+      if (!linked) {
+        image.properties.dataImageIndex = index;
+        index += 1;
+      }
+    };
+
+    const visit = (node, linked) => {
+      (node.children || []).forEach((child, i) => {
+        if (isElement(child, 'img')) {
+          prepare(child, linked);
+          return;
+        }
+
+        const content = isElement(child, 'p') ? child.children.filter(grandchild => !isBlank(grandchild)) : [];
+        const [image] = content;
+        if (content.length === 1 && isElement(image, 'img') && image.properties.title) {
+          const { title, ...properties } = image.properties;
+          image.properties = { ...properties, dataCaption: title };
+          prepare(image, linked);
+          node.children[i] = toFigure(image, title);
+          return;
+        }
+
+        visit(child, linked || isElement(child, 'a'));
+      });
+    };
+    visit(tree, false);
+  };
+}
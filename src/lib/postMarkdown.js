@@ -0,0 +1,42 @@
+// The remark/rehype pipeline BlogPostPage renders post markdown with, kept
+// apart from the page so the sanitizer tests exercise exactly the same plugins.
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import remarkDirective from 'remark-directive';
+import rehypeKatex from 'rehype-katex';
+import rehypeHighlight from 'rehype-highlight';
+import rehypeRaw from 'rehype-raw';
+import rehypeSanitize from 'rehype-sanitize';
+import site from '../data/site.json';
+import { remarkCallouts } from './callouts';
+import { rehypeCodeBlocks, rehypeCodeMeta } from './codeBlocks';
+import { remarkDirectives } from './directives';
+import { rehypeFootnotePreviews } from './footnotes';
+import { rehypeHeadingIds } from './headings';
+import { rehypeImages } from './images';
+import { rehypeEmbeds, sanitizeSchema } from './sanitize';
+
+// Diagram sources are rendered by MermaidDiagram, and math by rehype-katex
+// (which runs first), so neither is highlighted as code.
+const HIGHLIGHT_OPTIONS = { plainText: ['mermaid', 'math'] };
+
+export const remarkPlugins = [remarkGfm, remarkMath, remarkDirective, remarkDirectives, remarkCallouts];
+
+// Footnote ids are left unprefixed here: rehype-sanitize prefixes every id
+// once, and rehypeFootnotePreviews points the footnote links at the result.
+export const remarkRehypeOptions = { clobberPrefix: '' };
+
+// Raw HTML is sanitized before the trusted plugins run, so their output needs no allowlisting.
+// `imageSizes` is the post's image dimensions from the blog manifest.
+export const createRehypePlugins = imageSizes => [
+  rehypeCodeMeta,
+  rehypeRaw,
+  [rehypeSanitize, sanitizeSchema],
+  [rehypeEmbeds, site.embeds],
+  [rehypeImages, { sizes: imageSizes }],
+  rehypeKatex,
+  [rehypeHighlight, HIGHLIGHT_OPTIONS],
+  rehypeCodeBlocks,
+  [rehypeFootnotePreviews, { clobberPrefix: sanitizeSchema.clobberPrefix }],
+  rehypeHeadingIds,
+];
@@ -0,0 +1,22 @@
+// Chronological neighbours of a post. Pure, like relatedPosts.js: callers pass
+// the posts that are eligible (normally only the published ones).
+
+const compareChronologically = (a, b) =>
+  a.date.localeCompare(b.date) || a.id.localeCompare(b.id);
+
+/**
+ * Returns the posts immediately before (`previous`, older) and after (`next`,
+ * newer) `post` by date. With `tag`, only posts carrying that tag are considered.
+ * `post` itself need not be among `posts`, so this also works for draft previews.
+ */
+export function getAdjacentPosts(post, posts, { tag } = {}) {
+  const ordered = posts
+    .filter(candidate => candidate.id !== post.id)
+    .filter(candidate => !tag || candidate.tags.includes(tag))
+    .sort(compareChronologically);
+
+  const previous = ordered.filter(candidate => compareChronologically(candidate, post) < 0).pop();
+  const next = ordered.find(candidate => compareChronologically(candidate, post) > 0);
+
+  return { previous: previous || null, next: next || null };
+}
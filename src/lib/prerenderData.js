@@ -0,0 +1,18 @@
+// Data a prerendered page was rendered with (see plugins/prerender). The
+// server sets it before each render; in the browser it is read from the
+// inline script the prerenderer adds, so hydration sees the same content.
+
+let serverData = null;
+
+export const setPrerenderData = (data) => {
+  serverData = data;
+};
+
+const getPrerenderData = () =>
+  serverData || (typeof window !== 'undefined' && window.__PRERENDER_DATA__) || {};
+
+// Markdown source of a post, when this page was prerendered with it.
+export const getPrerenderedMarkdown = (slug) => {
+  const { markdown } = getPrerenderData();
+  return markdown && markdown.slug === slug ? markdown.content : undefined;
+};
@@ -0,0 +1,14 @@
+// Publishing state of a post from its frontmatter. Kept free of the generated
+// manifest so pure modules (and their tests) can use it. CommonJS, so the
+// build plugins can require it as well.
+
+// A post is live once it is published and its `publishAt` time, if any, has passed.
+// Production builds leave out posts that are not live, so a scheduled post
+// appears with the first build after its `publishAt` time.
+function isPostLive(post, now = Date.now()) {
+  return post.published && (!post.publishAt || Date.parse(post.publishAt) <= now);
+}
+
+module.exports = {
+  isPostLive,
+};
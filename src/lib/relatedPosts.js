@@ -0,0 +1,59 @@
+// Ranks "More Articles" suggestions for a post. Pure: it only looks at the
+// posts and the time it is given.
+import { isPostLive } from './publishing';
+import { tokenize } from './textTerms';
+
+const TAG_WEIGHT = 3;
+const TERM_WEIGHT = 1;
+
+// Terms shorter than this ("io", "db") are too ambiguous to relate posts by.
+const MIN_TERM_LENGTH = 3;
+
+export function extractTerms(text) {
+  return new Set(tokenize(text).filter(term => term.length >= MIN_TERM_LENGTH));
+}
+
+const postTerms = (post) => extractTerms(`${post.title} ${post.excerpt}`);
+
+const countShared = (a, b) => [...a].filter(item => b.has(item)).length;
+
+/**
+ * Similarity of `candidate` to `post`: shared tags weigh most, then terms
+ * shared between their titles and excerpts.
+ */
+export function scorePost(post, candidate) {
+  const tags = new Set(post.tags.map(tag => tag.toLowerCase()));
+  const candidateTags = new Set(candidate.tags.map(tag => tag.toLowerCase()));
+
+  return TAG_WEIGHT * countShared(tags, candidateTags)
+    + TERM_WEIGHT * countShared(postTerms(post), postTerms(candidate));
+}
+
+// Higher score first; ties go to the newer post, then to the slug for a stable order.
+const compareRanked = (a, b) =>
+  b.score - a.score
+  || b.post.date.localeCompare(a.post.date)
+  || a.post.id.localeCompare(b.post.id);
+
+/**
+ * Returns up to `limit` posts from `candidates` related to `post`, leaving out
+ * the post itself and posts not live at `now`. Slugs listed in the post's
+ * `related` frontmatter come first, in the order given; the remaining slots
+ * are filled by score, so posts sharing nothing still fill them newest first.
+ */
+export function getRelatedPosts(post, candidates, { limit = 3, now = Date.now() } = {}) {
+  const others = candidates.filter(candidate => candidate.id !== post.id && isPostLive(candidate, now));
+
+  const pinned = (post.related || [])
+    .map(slug => others.find(candidate => candidate.id === slug))
+    .filter(Boolean);
+  const pinnedIds = new Set(pinned.map(candidate => candidate.id));
+
+  const ranked = others
+    .filter(candidate => !pinnedIds.has(candidate.id))
+    .map(candidate => ({ post: candidate, score: scorePost(post, candidate) }))
+    .sort(compareRanked)
+    .map(({ post: candidate }) => candidate);
+
+  return [...pinned, ...ranked].slice(0, limit);
+}
@@ -0,0 +1,89 @@
+import { getRelatedPosts, scorePost } from './relatedPosts';
+
+const NOW = Date.parse('2025-06-01T00:00:00Z');
+
+const makePost = (id, overrides = {}) => ({
+  id,
+  title: `Post ${id}`,
+  excerpt: '',
+  tags: [],
+  date: '2025-01-01',
+  published: true,
+  ...overrides,
+});
+
+const ids = posts => posts.map(post => post.id);
+
+const current = makePost('current', {
+  title: 'Understanding Database Indexes',
+  excerpt: 'How B-tree indexes speed up queries.',
+  tags: ['Databases', 'Performance'],
+});
+
+describe('getRelatedPosts', () => {
+  it('ranks shared tags above shared title and excerpt terms', () => {
+    const sameTags = makePost('same-tags', { tags: ['Databases', 'Performance'] });
+    const oneTag = makePost('one-tag', { tags: ['databases'] });
+    const sameTerms = makePost('same-terms', { title: 'Indexing queries', excerpt: 'Index tuning.' });
+    const unrelated = makePost('unrelated', { title: 'Kubernetes networking' });
+
+    expect(scorePost(current, sameTerms)).toBeGreaterThan(0);
+    expect(ids(getRelatedPosts(current, [unrelated, sameTerms, oneTag, sameTags], { now: NOW })))
+      .toEqual(['same-tags', 'one-tag', 'same-terms']);
+  });
+
+  it('breaks ties by text similarity', () => {
+    const closer = makePost('closer', {
+      tags: ['Databases'],
+      title: 'Composite indexes',
+      excerpt: 'Queries on several columns.',
+    });
+    const further = makePost('further', { tags: ['Databases'], title: 'Backups' });
+
+    expect(ids(getRelatedPosts(current, [further, closer], { now: NOW }))).toEqual(['closer', 'further']);
+  });
+
+  it('never suggests the post itself', () => {
+    const other = makePost('other', { tags: ['Databases'] });
+
+    expect(ids(getRelatedPosts(current, [current, other], { now: NOW }))).toEqual(['other']);
+  });
+
+  it('leaves out drafts and posts scheduled after now', () => {
+    const live = makePost('live', { tags: ['Databases'] });
+    const draft = makePost('draft', { tags: ['Databases', 'Performance'], published: false });
+    const scheduled = makePost('scheduled', {
+      tags: ['Databases', 'Performance'],
+      publishAt: '2025-07-01T09:00:00.000Z',
+    });
+    const wentLive = makePost('went-live', { publishAt: '2025-05-01T09:00:00.000Z' });
+
+    expect(ids(getRelatedPosts(current, [live, draft, scheduled, wentLive], { now: NOW })))
+      .toEqual(['live', 'went-live']);
+  });
+
+  it('leaves out pinned `related` slugs that are not live', () => {
+    const post = { ...current, related: ['draft', 'pinned'] };
+    const draft = makePost('draft', { published: false });
+    const pinned = makePost('pinned');
+
+    expect(ids(getRelatedPosts(post, [draft, pinned], { now: NOW }))).toEqual(['pinned']);
+  });
+
+  it('returns at most `limit` posts', () => {
+    const candidates = ['a', 'b', 'c', 'd', 'e'].map(id => makePost(id, { tags: ['Databases'] }));
+
+    expect(getRelatedPosts(current, candidates, { now: NOW })).toHaveLength(3);
+    expect(getRelatedPosts(current, candidates, { limit: 2, now: NOW })).toHaveLength(2);
+  });
+
+  it('falls back to the newest posts when none share anything', () => {
+    const older = makePost('older', { title: 'Kubernetes networking', date: '2024-03-01' });
+    const newer = makePost('newer', { title: 'Rust ownership', date: '2025-02-01' });
+    const newest = makePost('newest', { title: 'Go channels', date: '2025-04-01' });
+
+    expect(scorePost(current, older)).toBe(0);
+    expect(ids(getRelatedPosts(current, [older, newest, newer], { now: NOW })))
+      .toEqual(['newest', 'newer', 'older']);
+  });
+});
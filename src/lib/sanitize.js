@@ -0,0 +1,62 @@
+// Allowlist for raw HTML in post markdown. rehype-sanitize runs right after
+// rehype-raw, before KaTeX, highlight.js and rehypeCodeBlocks, so their own
+// output never has to pass through it; only authored markup does.
+import { defaultSchema } from 'rehype-sanitize';
+
+const { attributes, tagNames } = defaultSchema;
+
+export const sanitizeSchema = {
+  ...defaultSchema,
+  tagNames: [...tagNames, 'iframe'],
+  attributes: {
+    ...attributes,
+    blockquote: [...attributes.blockquote, 'dataCallout'],
+    code: [...attributes.code, 'dataMeta', ['className', 'hljs', /^language-./]],
+    span: [...(attributes.span || []), ['className', /^hljs-./]],
+    details: [...(attributes.details || []), 'open'],
+    // Shortcodes (see lib/directives.js)
+    div: [...(attributes.div || []), 'dataDirective', 'dataDirectiveAttributes', 'dataDirectiveLabel'],
+    iframe: ['src', 'title', 'width', 'height', 'allowFullScreen'],
+  },
+};
+
+const EMBED_PERMISSIONS = 'accelerometer; clipboard-write; encrypted-media; fullscreen; gyroscope; picture-in-picture';
+
+function isAllowedEmbed(src, allowedHosts) {
+  try {
+    const url = new URL(src);
+    return url.protocol === 'https:' && allowedHosts.includes(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Rehype plugin that drops iframes not served over https from one of
+ * `allowedHosts` and sandboxes the rest. Runs after rehype-sanitize.
+ */
+export function rehypeEmbeds({ allowedHosts = [] } = {}) {
+  return (tree) => {
+    const visit = (node) => {
+      if (!node.children) {
+        return;
+      }
+      node.children = node.children.filter(
+        child => child.tagName !== 'iframe' || isAllowedEmbed(child.properties.src, allowedHosts),
+      );
+      node.children.forEach((child) => {
+        if (child.tagName === 'iframe') {
+          child.properties = {
+            ...child.properties,
+            allow: EMBED_PERMISSIONS,
+            sandbox: 'allow-scripts allow-same-origin allow-presentation allow-popups',
+            referrerPolicy: 'strict-origin-when-cross-origin',
+            loading: 'lazy',
+          };
+        }
+        visit(child);
+      });
+    };
+    visit(tree);
+  };
+}
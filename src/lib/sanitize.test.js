@@ -0,0 +1,66 @@
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkRehype from 'remark-rehype';
+import rehypeStringify from 'rehype-stringify';
+import { createRehypePlugins, remarkPlugins, remarkRehypeOptions } from './postMarkdown';
+
+// Renders post markdown to HTML the way BlogPostPage does: react-markdown
+// builds this same processor from the plugin lists it is given.
+const toHtml = markdown => String(
+  unified()
+    .use(remarkParse)
+    .use(remarkPlugins)
+    .use(remarkRehype, { allowDangerousHtml: true, ...remarkRehypeOptions })
+    .use(createRehypePlugins({}))
+    .use(rehypeStringify)
+    .processSync(markdown),
+);
+
+describe('post markdown sanitizing', () => {
+  it('strips script elements', () => {
+    const html = toHtml('Before\n\n<script>alert(1)</script>\n\nAfter');
+
+    expect(html).not.toMatch(/<script/i);
+    expect(html).not.toContain('alert(1)');
+    expect(html).toContain('After');
+  });
+
+  it('strips event handler attributes', () => {
+    const html = toHtml('<img src="x" onerror="alert(1)">\n\n<svg onload="alert(1)"><circle r="1"></circle></svg>');
+
+    expect(html).not.toMatch(/onerror|onload/i);
+    expect(html).not.toMatch(/<svg/i);
+    expect(html).toContain('<img src="x"');
+  });
+
+  it('strips javascript: links', () => {
+    const html = toHtml('<a href="javascript:alert(1)">raw</a> and [markdown](javascript:alert(1))');
+
+    expect(html).not.toMatch(/javascript:/i);
+    expect(html).toContain('raw');
+    expect(html).toContain('markdown');
+  });
+
+  it('drops iframes from hosts outside embeds.allowedHosts', () => {
+    const html = toHtml('<iframe src="https://evil.example.com/embed"></iframe>\n\n<iframe src="http://www.youtube.com/embed/x"></iframe>');
+
+    expect(html).not.toMatch(/<iframe/i);
+  });
+
+  it('strips srcdoc from iframes it keeps', () => {
+    const html = toHtml('<iframe src="https://www.youtube-nocookie.com/embed/x" srcdoc="<script>alert(1)</script>"></iframe>');
+
+    expect(html).toContain('src="https://www.youtube-nocookie.com/embed/x"');
+    expect(html).toContain('sandbox=');
+    expect(html).not.toMatch(/srcdoc|<script/i);
+  });
+
+  it('prefixes authored ids without breaking footnote links', () => {
+    const html = toHtml('<div id="root">clobber</div>\n\nText[^1]\n\n[^1]: Note');
+
+    expect(html).toContain('id="user-content-root"');
+    expect(html).toContain('href="#user-content-fn-1" id="user-content-fnref-1"');
+    expect(html).toContain('<li id="user-content-fn-1">');
+    expect(html).toContain('href="#user-content-fnref-1"');
+  });
+});
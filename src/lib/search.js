@@ -0,0 +1,147 @@
+// Full-text search over the index built by plugins/blog-search. The index is
+// a separate chunk, fetched the first time the blog page asks for it.
+
+import { WORD, stem, toWords } from './textTerms';
+
+let indexPromise = null;
+
+export function loadSearchIndex() {
+  if (!indexPromise) {
+    indexPromise = import(/* webpackChunkName: "search-index" */ '../generated/search-index.json')
+      .then(module => module.default)
+      .catch((error) => {
+        indexPromise = null;
+        throw error;
+      });
+  }
+  return indexPromise;
+}
+
+// BM25 parameters: how quickly repeats of a term stop adding to the score,
+// and how much long posts are penalised for containing more words.
+const SATURATION = 1.2;
+const LENGTH_NORMALISATION = 0.75;
+
+// A term that merely starts with what was typed ranks below an exact match.
+const PREFIX_MATCH_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 2;
+
+const SNIPPET_LENGTH = 180;
+const SNIPPET_LEAD = 50;
+
+// Index terms a query word can match, with how strongly each one counts.
+function expandToken(token, word, allTerms, terms) {
+  const matches = new Map();
+  if (Object.prototype.hasOwnProperty.call(terms, token)) {
+    matches.set(token, 1);
+  }
+  if (word.length >= MIN_PREFIX_LENGTH) {
+    for (const term of allTerms) {
+      if (!matches.has(term) && (term.startsWith(word) || term.startsWith(token))) {
+        matches.set(term, PREFIX_MATCH_WEIGHT);
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * Cuts a window of `text` around the first word matching one of `terms` and
+ * splits it into `{ text, highlight }` parts. Null when the body has no match
+ * (the post matched on its title or tags).
+ */
+export function buildSnippet(text, terms) {
+  const words = [...text.matchAll(WORD)];
+  const isMatch = (match) => terms.has(stem(match[0].toLowerCase()));
+  const first = words.find(isMatch);
+  if (!first) {
+    return null;
+  }
+
+  let start = Math.max(0, first.index - SNIPPET_LEAD);
+  if (start > 0) {
+    start = text.indexOf(' ', start) + 1;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    end = Math.max(text.lastIndexOf(' ', end), first.index + first[0].length);
+  }
+
+  const parts = [];
+  let position = start;
+  for (const match of words) {
+    const matchEnd = match.index + match[0].length;
+    if (match.index < start || matchEnd > end || !isMatch(match)) {
+      continue;
+    }
+    if (match.index > position) {
+      parts.push({ text: text.slice(position, match.index), highlight: false });
+    }
+    parts.push({ text: match[0], highlight: true });
+    position = matchEnd;
+  }
+  if (position < end) {
+    parts.push({ text: text.slice(position, end), highlight: false });
+  }
+
+  return {
+    parts,
+    truncatedStart: start > 0,
+    truncatedEnd: end < text.length,
+  };
+}
+
+/**
+ * Ranks the indexed posts against `query`, best first. Every word of the
+ * query must match a post, exactly or as a prefix (so results narrow as you
+ * type). Returns null when the query has no searchable words.
+ */
+export function searchIndex(index, query) {
+  const words = toWords(query);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const { docs, terms } = index;
+  const allTerms = Object.keys(terms);
+  const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+  const scores = docs.map(() => ({ score: 0, words: 0, terms: new Set() }));
+
+  for (const word of words) {
+    const matched = docs.map(() => false);
+
+    for (const [term, matchWeight] of expandToken(stem(word), word, allTerms, terms)) {
+      const postings = terms[term];
+      const documentFrequency = postings.length / 2;
+      const idf = Math.log(1 + (docs.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+      for (let i = 0; i < postings.length; i += 2) {
+        const doc = postings[i];
+        const frequency = postings[i + 1];
+        const lengthRatio = docs[doc].length / averageLength;
+        const tf = (frequency * (SATURATION + 1))
+          / (frequency + SATURATION * (1 - LENGTH_NORMALISATION + LENGTH_NORMALISATION * lengthRatio));
+
+        scores[doc].score += idf * tf * matchWeight;
+        scores[doc].terms.add(term);
+        matched[doc] = true;
+      }
+    }
+
+    matched.forEach((isMatched, doc) => {
+      if (isMatched) {
+        scores[doc].words += 1;
+      }
+    });
+  }
+
+  return docs
+    .map((doc, i) => ({ ...scores[i], id: doc.id, text: doc.text }))
+    .filter(result => result.words === words.length)
+    .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+    .map(({ id, score, terms: matchedTerms, text }) => ({
+      id,
+      score,
+      snippet: buildSnippet(text, matchedTerms),
+    }));
+}
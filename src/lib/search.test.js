@@ -0,0 +1,84 @@
+import { buildSnippet, searchIndex } from './search';
+import { stem, tokenize } from './textTerms';
+
+// A small index in the shape plugins/blog-search writes, with every word
+// weighted 1 regardless of field.
+const makeIndex = (posts) => {
+  const terms = {};
+  const docs = posts.map(({ id, text }, doc) => {
+    const tokens = tokenize(text);
+    const counts = new Map();
+    tokens.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    counts.forEach((count, term) => {
+      terms[term] = [...(terms[term] || []), doc, count];
+    });
+    return { id, text, length: tokens.length };
+  });
+  return { docs, terms };
+};
+
+const index = makeIndex([
+  { id: 'explain', text: 'Reading EXPLAIN ANALYZE output to find slow queries in Postgres.' },
+  { id: 'indexes', text: 'Indexes speed up queries. A covering index answers a query alone.' },
+  { id: 'caching', text: 'Caching strategies for read-heavy services.' },
+]);
+
+const ids = results => results.map(result => result.id);
+
+describe('searchIndex', () => {
+  it('matches query words case-insensitively', () => {
+    expect(ids(searchIndex(index, 'EXPLAIN'))).toEqual(['explain']);
+  });
+
+  it('matches other forms of a word through the stemmer', () => {
+    expect(ids(searchIndex(index, 'cached'))).toEqual(['caching']);
+  });
+
+  it('matches words as prefixes while typing', () => {
+    expect(ids(searchIndex(index, 'postg'))).toEqual(['explain']);
+  });
+
+  it('requires every query word to match', () => {
+    expect(ids(searchIndex(index, 'slow queries'))).toEqual(['explain']);
+    expect(ids(searchIndex(index, 'queries'))).toEqual(expect.arrayContaining(['explain', 'indexes']));
+  });
+
+  it('ranks posts that repeat a term above those that mention it once', () => {
+    expect(ids(searchIndex(index, 'index'))[0]).toBe('indexes');
+  });
+
+  it('returns null when the query has no searchable words', () => {
+    expect(searchIndex(index, 'the and of')).toBeNull();
+    expect(searchIndex(index, '  ?! ')).toBeNull();
+  });
+
+  it('returns no results when nothing matches', () => {
+    expect(searchIndex(index, 'kubernetes')).toEqual([]);
+  });
+});
+
+describe('buildSnippet', () => {
+  const highlighted = snippet => snippet.parts.filter(part => part.highlight).map(part => part.text);
+
+  it('highlights every word matching one of the terms', () => {
+    const snippet = buildSnippet('Indexes speed up queries. A covering index answers a query alone.', new Set([stem('index')]));
+
+    expect(highlighted(snippet)).toEqual(['Indexes', 'index']);
+    expect(snippet.parts.map(part => part.text).join('')).toBe('Indexes speed up queries. A covering index answers a query alone.');
+    expect(snippet.truncatedStart).toBe(false);
+    expect(snippet.truncatedEnd).toBe(false);
+  });
+
+  it('cuts a window around the first match in long text', () => {
+    const filler = 'lorem ipsum dolor sit amet '.repeat(20);
+    const snippet = buildSnippet(`${filler}the vacuum process ${filler}`, new Set([stem('vacuum')]));
+
+    expect(highlighted(snippet)).toEqual(['vacuum']);
+    expect(snippet.truncatedStart).toBe(true);
+    expect(snippet.truncatedEnd).toBe(true);
+  });
+
+  it('returns null when the text has no match', () => {
+    expect(buildSnippet('Nothing relevant here.', new Set(['index']))).toBeNull();
+  });
+});
@@ -0,0 +1,108 @@
+// Page metadata (title, description, canonical URL, OpenGraph and Twitter
+// card tags) built from the site profile in data/mockData.js and data/site.json.
+import site from '../data/site.json';
+import { profileData } from '../data/mockData';
+
+export const siteUrl = (process.env.REACT_APP_SITE_URL || site.url).replace(/\/+$/, '');
+
+export const absoluteUrl = (path) => `${siteUrl}${path}`;
+
+const LOCALES = { en: 'en_US' };
+
+/**
+ * Normalises a page's metadata. Only `path` is required: the title falls back
+ * to the site name and the description to the profile tagline.
+ * `article` ({ publishedTime, modifiedTime, tags }) marks the page as an article;
+ * `jsonLd` is a schema.org object (or array of them) from lib/structuredData.js.
+ */
+export function buildPageMeta({ title, description, path, image, article, jsonLd, noIndex = false }) {
+  return {
+    title: title ? `${title} | ${profileData.name}` : `${profileData.name} | ${profileData.title}`,
+    description: description || profileData.tagline,
+    canonical: absoluteUrl(path),
+    image: image || null,
+    article: article || null,
+    jsonLd: jsonLd || null,
+    noIndex,
+  };
+}
+
+// "<" is escaped so a string inside the data can never close the <script> early.
+const serializeJsonLd = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+/**
+ * The head tags for `meta`, as { tag, attrs, content } descriptors so the same
+ * list can be applied to the live document or serialised to HTML.
+ */
+export function headTags(meta) {
+  const name = (key, content) => ({ tag: 'meta', attrs: { name: key, content } });
+  const property = (key, content) => ({ tag: 'meta', attrs: { property: key, content } });
+
+  const tags = [
+    name('description', meta.description),
+    { tag: 'link', attrs: { rel: 'canonical', href: meta.canonical } },
+    property('og:site_name', profileData.name),
+    property('og:locale', LOCALES[site.language] || site.language),
+    property('og:type', meta.article ? 'article' : 'website'),
+    property('og:title', meta.title),
+    property('og:description', meta.description),
+    property('og:url', meta.canonical),
+    name('twitter:card', meta.image ? 'summary_large_image' : 'summary'),
+    name('twitter:title', meta.title),
+    name('twitter:description', meta.description),
+  ];
+
+  if (meta.image) {
+    tags.push(property('og:image', meta.image), name('twitter:image', meta.image));
+  }
+
+  if (meta.article) {
+    const { publishedTime, modifiedTime, tags: articleTags = [] } = meta.article;
+    tags.push(property('article:author', profileData.name));
+    if (publishedTime) {
+      tags.push(property('article:published_time', publishedTime));
+    }
+    if (modifiedTime) {
+      tags.push(property('article:modified_time', modifiedTime));
+    }
+    articleTags.forEach(tag => tags.push(property('article:tag', tag)));
+    if (articleTags.length > 0) {
+      tags.push(name('keywords', articleTags.join(', ')));
+    }
+  }
+
+  if (meta.noIndex) {
+    tags.push(name('robots', 'noindex'));
+  }
+
+  if (meta.jsonLd) {
+    tags.push({
+      tag: 'script',
+      attrs: { type: 'application/ld+json' },
+      content: serializeJsonLd(meta.jsonLd),
+    });
+  }
+
+  return tags;
+}
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Serialises head tags to HTML for prerendered pages. `marker` is added to
+ * each tag so the client can replace them once it takes over.
+ */
+export function headTagsToHtml(tags, marker) {
+  return tags.map(({ tag, attrs, content }) => {
+    const attributes = Object.entries(attrs)
+      .map(([key, value]) => ` ${key}="${escapeHtml(value)}"`)
+      .join('');
+    const open = `<${tag}${attributes}${marker ? ` ${marker}` : ''}>`;
+    return tag === 'meta' || tag === 'link' ? open : `${open}${content || ''}</${tag}>`;
+  }).join('');
+}
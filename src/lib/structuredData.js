@@ -0,0 +1,87 @@
+// schema.org JSON-LD for the profile, articles and projects, passed to <Seo jsonLd={...} />.
+import site from '../data/site.json';
+import { profileData } from '../data/mockData';
+import { absoluteUrl, siteUrl } from './seo';
+
+const CONTEXT = 'https://schema.org';
+const PERSON_ID = `${siteUrl}/#person`;
+
+// techStack mixes languages with databases and infrastructure; only these
+// entries are languages, keyed by how they appear in projects.
+const PROGRAMMING_LANGUAGES = {
+  Go: 'Go',
+  Python: 'Python',
+  Rust: 'Rust',
+  'Node.js': 'JavaScript',
+  JavaScript: 'JavaScript',
+  TypeScript: 'TypeScript',
+  React: 'JavaScript',
+  'D3.js': 'JavaScript',
+  Java: 'Java',
+  SQL: 'SQL',
+};
+
+export function personSchema() {
+  const { name, title, bio, interests, social } = profileData;
+  return {
+    '@context': CONTEXT,
+    '@type': 'Person',
+    '@id': PERSON_ID,
+    name,
+    jobTitle: title,
+    description: bio,
+    url: siteUrl,
+    email: `mailto:${social.email}`,
+    knowsAbout: interests,
+    sameAs: Object.entries(social)
+      .filter(([network]) => network !== 'email')
+      .map(([, url]) => url),
+  };
+}
+
+const authorRef = () => ({ '@type': 'Person', '@id': PERSON_ID, name: profileData.name });
+
+export function blogPostingSchema(post) {
+  const url = absoluteUrl(`/blog/${post.id}`);
+  return {
+    '@context': CONTEXT,
+    '@type': 'BlogPosting',
+    '@id': url,
+    url,
+    mainEntityOfPage: url,
+    headline: post.title,
+    description: post.excerpt,
+    datePublished: post.publishAt || post.date,
+    dateModified: post.updated || post.publishAt || post.date,
+    keywords: post.tags.join(', '),
+    wordCount: post.wordCount,
+    timeRequired: `PT${post.readingMinutes}M`,
+    inLanguage: site.language,
+    author: authorRef(),
+    publisher: authorRef(),
+  };
+}
+
+/**
+ * A project with a repository is SoftwareSourceCode; anything else is a
+ * plain CreativeWork. Non-language techStack entries become keywords.
+ */
+export function projectSchema(project) {
+  const languages = [...new Set(
+    project.techStack.map(tech => PROGRAMMING_LANGUAGES[tech]).filter(Boolean)
+  )];
+
+  return {
+    '@context': CONTEXT,
+    '@type': project.github ? 'SoftwareSourceCode' : 'CreativeWork',
+    '@id': absoluteUrl(`/projects#${project.id}`),
+    name: project.name,
+    description: project.description,
+    image: project.image,
+    ...(project.liveUrl && { url: project.liveUrl }),
+    ...(project.github && { codeRepository: project.github }),
+    ...(project.github && languages.length > 0 && { programmingLanguage: languages }),
+    keywords: project.techStack.filter(tech => !PROGRAMMING_LANGUAGES[tech]).join(', '),
+    author: authorRef(),
+  };
+}
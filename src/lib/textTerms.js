@@ -0,0 +1,64 @@
+// Text normalization shared by full-text search and related posts: the search
+// index built by plugins/blog-search, the queries run against it in
+// lib/search.js, and the title/excerpt terms compared in lib/relatedPosts.js.
+// CommonJS, so the build plugins can require it as well.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'every', 'for', 'from', 'how', 'in',
+  'into', 'is', 'it', 'its', 'know', 'like', 'of', 'on', 'or', 'should', 'that', 'the',
+  'their', 'this', 'to', 'use', 'using', 'vs', 'was', 'we', 'what', 'when', 'which',
+  'with', 'you', 'your',
+]);
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Suffix stripping in the spirit of Porter's stemmer: enough to fold
+// "indexes", "indexed" and "indexing" into one term, not a linguistic model.
+function stem(word) {
+  let result = word;
+
+  if (result.length > 4 && result.endsWith('ies')) {
+    result = `${result.slice(0, -3)}y`;
+  } else if (result.endsWith('sses')) {
+    result = result.slice(0, -2);
+  } else if (/(x|sh|zz)es$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (result.length > 5 && result.endsWith('ing')) {
+    result = result.slice(0, -3);
+  } else if (result.length > 4 && result.endsWith('ed') && !result.endsWith('eed')) {
+    result = result.slice(0, -2);
+  } else if (result.length > 5 && result.endsWith('ly')) {
+    result = result.slice(0, -2);
+  } else if (result.length > 3 && /[^su]s$/.test(result) && !result.endsWith('is')) {
+    result = result.slice(0, -1);
+  }
+
+  // "running" -> "runn" -> "run"
+  if (/([^aeiouls])\1$/.test(result) && result !== word) {
+    result = result.slice(0, -1);
+  }
+  // "cache" and "caching" both end up as "cach"
+  if (result.length > 4 && result.endsWith('e')) {
+    result = result.slice(0, -1);
+  }
+  return result;
+}
+
+// Lower-cased words of `text` in order, without stop words. Search keeps
+// them unstemmed as well, to match terms that merely start with a word.
+function toWords(text) {
+  const words = text.toLowerCase().match(WORD) || [];
+  return words.filter(word => !STOP_WORDS.has(word));
+}
+
+// Lower-cased, stemmed terms of `text` in order, without stop words.
+function tokenize(text) {
+  return toWords(text).map(stem);
+}
+
+module.exports = {
+  WORD,
+  stem,
+  toWords,
+  tokenize,
+};
@@ -2,12 +2,15 @@ import React from 'react';
 import { Github, Linkedin, Mail } from 'lucide-react';
 import { Button } from '../components/ui/button';
 import { Card, CardContent } from '../components/ui/card';
+import Seo from '../components/Seo';
 import { profileData } from '../data/mockData';
+import { personSchema } from '../lib/structuredData';
 import './AboutPage.css';
 
 const AboutPage = () => {
   return (
     <div className="about-page">
+      <Seo title="About" description={profileData.bio} path="/about" jsonLd={personSchema()} />
       <div className="container">
         <div className="about-hero">
           <h1>About Me</h1>
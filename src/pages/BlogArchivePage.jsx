@@ -0,0 +1,164 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import {
+  Breadcrumb,
+  BreadcrumbItem,
+  BreadcrumbLink,
+  BreadcrumbList,
+  BreadcrumbPage,
+  BreadcrumbSeparator,
+} from '../components/ui/breadcrumb';
+import { Badge } from '../components/ui/badge';
+import BlogNotFound from '../components/BlogNotFound';
+import PostCard from '../components/PostCard';
+import Seo from '../components/Seo';
+import { getPublishedPosts } from '../data/blogManifest';
+import {
+  formatPostCount,
+  getArchivePath,
+  getArchivePosts,
+  getMonthName,
+  groupByMonth,
+  parseArchiveParams,
+} from '../lib/archive';
+import './BlogPage.css';
+import './BlogArchivePage.css';
+
+// Blog › Archive › 2024 › March, each level but the current one a link.
+const ArchiveBreadcrumb = ({ year, month }) => {
+  const levels = [
+    { label: 'Blog', path: '/blog' },
+    { label: 'Archive', path: '/blog/archive' },
+    ...(year ? [{ label: String(year), path: getArchivePath(year) }] : []),
+    ...(month ? [{ label: getMonthName(month), path: getArchivePath(year, month) }] : []),
+  ];
+
+  return (
+    <Breadcrumb className="blog-breadcrumb">
+      <BreadcrumbList>
+        {levels.map((level, i) => (
+          <React.Fragment key={level.path}>
+            {i > 0 && <BreadcrumbSeparator />}
+            <BreadcrumbItem>
+              {i === levels.length - 1 ? (
+                <BreadcrumbPage>{level.label}</BreadcrumbPage>
+              ) : (
+                <BreadcrumbLink asChild>
+                  <Link to={level.path}>{level.label}</Link>
+                </BreadcrumbLink>
+              )}
+            </BreadcrumbItem>
+          </React.Fragment>
+        ))}
+      </BreadcrumbList>
+    </Breadcrumb>
+  );
+};
+
+// /blog/archive: every year and month that has posts, with counts
+const ArchiveIndex = ({ posts }) => {
+  const years = groupByMonth(posts);
+
+  return (
+    <>
+      <Seo
+        title="Blog Archive"
+        description={`All ${formatPostCount(posts.length)} on the blog, by year and month.`}
+        path="/blog/archive"
+      />
+      <div className="blog-header">
+        <ArchiveBreadcrumb />
+        <h1>Archive</h1>
+        <p className="blog-subtitle">{formatPostCount(posts.length)}, by month of publication</p>
+      </div>
+
+      <div className="archive-years">
+        {years.map(({ year, count, months }) => (
+          <section key={year} className="archive-year">
+            <h2>
+              <Link to={getArchivePath(year)}>{year}</Link>
+              <Badge variant="secondary">{count}</Badge>
+            </h2>
+            <ul className="archive-months">
+              {months.map(({ month, count: monthCount, posts: monthPosts }) => (
+                <li key={month}>
+                  <Link to={getArchivePath(year, month)} className="archive-month-link">
+                    {getMonthName(month)}
+                    <span className="archive-count">{formatPostCount(monthCount)}</span>
+                  </Link>
+                  <ul className="archive-posts">
+                    {monthPosts.map(post => (
+                      <li key={post.id}>
+                        <Link to={`/blog/${post.id}`}>{post.title}</Link>
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+    </>
+  );
+};
+
+// /blog/archive/:year and /blog/archive/:year/:month
+const ArchivePeriod = ({ year, month, posts }) => {
+  const period = month ? `${getMonthName(month)} ${year}` : String(year);
+  const count = formatPostCount(posts.length);
+
+  return (
+    <>
+      <Seo
+        title={`Articles from ${period}`}
+        description={`${count} published in ${period}: ${posts.map(post => post.title).join('; ')}.`}
+        path={getArchivePath(year, month)}
+      />
+      <div className="blog-header">
+        <ArchiveBreadcrumb year={year} month={month} />
+        <h1>{period}</h1>
+        <p className="blog-subtitle">{count} published in {period}</p>
+      </div>
+
+      <div className="blog-list">
+        {posts.map(post => (
+          <PostCard key={post.id} post={post} />
+        ))}
+      </div>
+    </>
+  );
+};
+
+const BlogArchivePage = () => {
+  const params = useParams();
+  const posts = getPublishedPosts();
+  const isIndex = params.year === undefined;
+  const period = isIndex ? null : parseArchiveParams(params);
+  const periodPosts = period ? getArchivePosts(posts, period) : [];
+
+  let content;
+  if (isIndex) {
+    content = <ArchiveIndex posts={posts} />;
+  } else if (periodPosts.length > 0) {
+    content = <ArchivePeriod year={period.year} month={period.month} posts={periodPosts} />;
+  } else {
+    content = (
+      <BlogNotFound
+        title="No Articles Found"
+        message="Nothing was published in this period."
+        path={`/blog/archive/${[params.year, params.month].filter(Boolean).join('/')}`}
+      />
+    );
+  }
+
+  return (
+    <div className="blog-page">
+      <div className="container">
+        {content}
+      </div>
+    </div>
+  );
+};
+
+export default BlogArchivePage;
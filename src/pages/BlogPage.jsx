@@ -1,94 +1,244 @@
-import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
-import { ArrowRight } from 'lucide-react';
-import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
-import { Badge } from '../components/ui/badge';
+import React, { useMemo, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { CalendarDays } from 'lucide-react';
+import { badgeVariants } from '../components/ui/badge';
+import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
-import { blogPosts } from '../data/mockData';
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious,
+} from '../components/ui/pagination';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { ToggleGroup, ToggleGroupItem } from '../components/ui/toggle-group';
+import PostCard from '../components/PostCard';
+import SubscribeMenu from '../components/SubscribeMenu';
+import Seo from '../components/Seo';
+import { getPublishedPosts } from '../data/blogManifest';
+import { useHydrated } from '../hooks/use-hydrated';
+import { useSearchIndex } from '../hooks/use-search-index';
+import { searchIndex } from '../lib/search';
+import {
+  RELEVANCE_SORT,
+  SORT_OPTIONS,
+  TAG_MATCH_ALL,
+  TAG_MATCH_ANY,
+  filterByTags,
+  getPageRange,
+  paginate,
+  parseBlogFilters,
+  serializeBlogFilters,
+  sortPosts,
+} from '../lib/blogFilters';
+import site from '../data/site.json';
 import './BlogPage.css';
 
+const SearchSnippet = ({ snippet }) => (
+  <p className="blog-item-snippet">
+    {snippet.truncatedStart && '… '}
+    {snippet.parts.map((part, i) => (part.highlight ? <mark key={i}>{part.text}</mark> : part.text))}
+    {snippet.truncatedEnd && ' …'}
+  </p>
+);
+
+// Page links are real hrefs (open in new tab, crawlable) but navigate in-app
+const PostPagination = ({ page, pageCount, hrefFor, onNavigate }) => {
+  const linkProps = (number) => ({
+    href: hrefFor(number),
+    onClick: (event) => {
+      event.preventDefault();
+      onNavigate(number);
+    },
+  });
+
+  return (
+    <Pagination className="blog-pagination">
+      <PaginationContent>
+        {page > 1 && (
+          <PaginationItem>
+            <PaginationPrevious {...linkProps(page - 1)} />
+          </PaginationItem>
+        )}
+        {getPageRange(page, pageCount).map((number, i) => (
+          <PaginationItem key={number || `gap-${i}`}>
+            {number ? (
+              <PaginationLink isActive={number === page} {...linkProps(number)}>
+                {number}
+              </PaginationLink>
+            ) : (
+              <PaginationEllipsis />
+            )}
+          </PaginationItem>
+        ))}
+        {page < pageCount && (
+          <PaginationItem>
+            <PaginationNext {...linkProps(page + 1)} />
+          </PaginationItem>
+        )}
+      </PaginationContent>
+    </Pagination>
+  );
+};
+
+const TagFilter = ({ pressed, onClick, children }) => (
+  <button
+    type="button"
+    className={`${badgeVariants({ variant: pressed ? 'default' : 'outline' })} tag-filter`}
+    aria-pressed={pressed}
+    onClick={onClick}
+  >
+    {children}
+  </button>
+);
+
 const BlogPage = () => {
-  const [searchQuery, setSearchQuery] = useState('');
-  const [selectedTag, setSelectedTag] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [searchFocused, setSearchFocused] = useState(false);
+  const listRef = useRef(null);
+
+  // /blog is prerendered without a query string, so filters from the URL
+  // apply once hydration has matched that unfiltered list.
+  const hydrated = useHydrated();
+  const filters = parseBlogFilters(hydrated ? searchParams : new URLSearchParams());
+  const { tags: selectedTags, match, sort } = filters;
+  const query = filters.query.trim();
+
+  // Every change is a history entry so back/forward steps through filter
+  // states, except typing, which replaces the entry it started.
+  const updateFilters = (changes, { replace = false } = {}) => {
+    setSearchParams(serializeBlogFilters({ ...filters, page: 1, ...changes }), { replace });
+  };
+
+  const publishedPosts = getPublishedPosts();
+
+  // The full-text index is fetched once the reader starts to search
+  const index = useSearchIndex(searchFocused || query !== '');
+  const results = useMemo(() => (index && query ? searchIndex(index, query) : null), [index, query]);
 
   // Get all unique tags
-  const allTags = [...new Set(blogPosts.flatMap(post => post.tags))];
-
-  // Filter posts based on search and tag
-  const filteredPosts = blogPosts.filter(post => {
-    const matchesSearch = post.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         post.excerpt.toLowerCase().includes(searchQuery.toLowerCase());
-    const matchesTag = !selectedTag || post.tags.includes(selectedTag);
-    return matchesSearch && matchesTag && post.published;
-  });
+  const allTags = [...new Set(publishedPosts.flatMap(post => post.tags))];
+
+  // Ranked full-text matches once the index is in; until then, titles and excerpts
+  let matchingPosts;
+  if (results) {
+    const postsById = new Map(publishedPosts.map(post => [post.id, post]));
+    matchingPosts = results.map(result => postsById.get(result.id)).filter(Boolean);
+  } else {
+    matchingPosts = publishedPosts.filter(post =>
+      post.title.toLowerCase().includes(query.toLowerCase()) ||
+      post.excerpt.toLowerCase().includes(query.toLowerCase()));
+  }
+  const snippets = new Map((results || []).map(result => [result.id, result.snippet]));
+
+  const filteredPosts = sortPosts(filterByTags(matchingPosts, selectedTags, match), sort);
+  const { items: pagePosts, page, pageCount } = paginate(filteredPosts, filters.page);
+
+  const toggleTag = (tag) => {
+    const tags = selectedTags.includes(tag)
+      ? selectedTags.filter(selected => selected !== tag)
+      : [...selectedTags, tag];
+    updateFilters({ tags });
+  };
+
+  const goToPage = (number) => {
+    updateFilters({ page: number });
+    if (listRef.current) {
+      listRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  };
+
+  // Per-tag feeds and "next in this tag" only make sense for a single tag
+  const singleTag = selectedTags.length === 1 ? selectedTags[0] : null;
+
+  // Lets the post page offer "next in this tag" for the active filter
+  const linkState = singleTag ? { fromTag: singleTag } : undefined;
 
   return (
     <div className="blog-page">
+      <Seo title="Technical Blog" description={site.blog.description} path="/blog" />
       <div className="container">
         <div className="blog-header">
           <h1>Technical Blog</h1>
           <p className="blog-subtitle">
-            Deep dives into backend development, system design, and database internals
+            {site.blog.description}
           </p>
+          <div className="blog-subscribe">
+            <SubscribeMenu tag={singleTag} />
+            <Button asChild variant="outline" size="sm">
+              <Link to="/blog/archive">
+                <CalendarDays />
+                Archive
+              </Link>
+            </Button>
+          </div>
         </div>
 
         <div className="blog-filters">
           <Input
             type="text"
             placeholder="Search articles..."
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
+            value={filters.query}
+            onChange={(e) => updateFilters(
+              { query: e.target.value, sort: searchParams.get('sort') || RELEVANCE_SORT },
+              { replace: Boolean(filters.query) },
+            )}
+            onFocus={() => setSearchFocused(true)}
             className="search-input"
           />
           
           <div className="tag-filters">
-            <Badge
-              variant={!selectedTag ? 'default' : 'outline'}
-              className="tag-filter"
-              onClick={() => setSelectedTag(null)}
-            >
+            <TagFilter pressed={selectedTags.length === 0} onClick={() => updateFilters({ tags: [] })}>
               All Topics
-            </Badge>
+            </TagFilter>
             {allTags.map(tag => (
-              <Badge
-                key={tag}
-                variant={selectedTag === tag ? 'default' : 'outline'}
-                className="tag-filter"
-                onClick={() => setSelectedTag(selectedTag === tag ? null : tag)}
-              >
+              <TagFilter key={tag} pressed={selectedTags.includes(tag)} onClick={() => toggleTag(tag)}>
                 {tag}
-              </Badge>
+              </TagFilter>
             ))}
           </div>
+
+          <div className="blog-list-controls">
+            {selectedTags.length > 1 ? (
+              <ToggleGroup
+                type="single"
+                size="sm"
+                variant="outline"
+                value={match}
+                onValueChange={(value) => value && updateFilters({ match: value })}
+                aria-label="Tag matching"
+              >
+                <ToggleGroupItem value={TAG_MATCH_ANY}>Any tag</ToggleGroupItem>
+                <ToggleGroupItem value={TAG_MATCH_ALL}>All tags</ToggleGroupItem>
+              </ToggleGroup>
+            ) : (
+              <span />
+            )}
+            <Select value={sort} onValueChange={(value) => updateFilters({ sort: value })}>
+              <SelectTrigger className="blog-sort" aria-label="Sort articles">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {query && <SelectItem value={RELEVANCE_SORT}>Best match</SelectItem>}
+                {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
         </div>
 
-        <div className="blog-list">
-          {filteredPosts.length > 0 ? (
-            filteredPosts.map(post => (
-              <Card key={post.id} className="blog-item">
-                <CardHeader>
-                  <div className="blog-item-meta">
-                    <span className="blog-date">{post.date}</span>
-                    <span className="blog-read-time">{post.readTime}</span>
-                  </div>
-                  <Link to={`/blog/${post.id}`}>
-                    <CardTitle className="blog-item-title">{post.title}</CardTitle>
-                  </Link>
-                  <CardDescription className="blog-item-excerpt">{post.excerpt}</CardDescription>
-                </CardHeader>
-                <CardContent>
-                  <div className="blog-item-footer">
-                    <div className="blog-item-tags">
-                      {post.tags.map(tag => (
-                        <Badge key={tag} variant="outline">{tag}</Badge>
-                      ))}
-                    </div>
-                    <Link to={`/blog/${post.id}`} className="read-more-link">
-                      Read More <ArrowRight size={16} />
-                    </Link>
-                  </div>
-                </CardContent>
-              </Card>
+        <div className="blog-list" ref={listRef}>
+          {pagePosts.length > 0 ? (
+            pagePosts.map(post => (
+              <PostCard key={post.id} post={post} linkState={linkState}>
+                {snippets.get(post.id) && (
+                  <SearchSnippet snippet={snippets.get(post.id)} />
+                )}
+              </PostCard>
             ))
           ) : (
             <div className="no-results">
@@ -96,6 +246,15 @@ const BlogPage = () => {
             </div>
           )}
         </div>
+
+        {pageCount > 1 && (
+          <PostPagination
+            page={page}
+            pageCount={pageCount}
+            hrefFor={(number) => `?${serializeBlogFilters({ ...filters, page: number })}`}
+            onNavigate={goToPage}
+          />
+        )}
       </div>
     </div>
   );
@@ -1,43 +1,127 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
-import { ArrowLeft, Calendar, Clock } from 'lucide-react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useSearchParams, useLocation, Link } from 'react-router-dom';
+import { ArrowLeft, Calendar, Clock, Eye, FileText } from 'lucide-react';
 import ReactMarkdown from 'react-markdown';
-import remarkGfm from 'remark-gfm';
-import rehypeHighlight from 'rehype-highlight';
-import rehypeRaw from 'rehype-raw';
 import { Button } from '../components/ui/button';
-import { Badge } from '../components/ui/badge';
-import { blogPosts } from '../data/mockData';
+import { Alert, AlertDescription, AlertTitle } from '../components/ui/alert';
+import Seo from '../components/Seo';
+import TagBadge from '../components/TagBadge';
+import TableOfContents from '../components/TableOfContents';
+import AnchoredHeading from '../components/markdown/AnchoredHeading';
+import Callout from '../components/markdown/Callout';
+import CodeBlock from '../components/markdown/CodeBlock';
+import Directive from '../components/markdown/Directive';
+import FootnoteLink from '../components/markdown/FootnoteLink';
+import { ImageGalleryProvider } from '../components/markdown/ImageGallery';
+import PostImage from '../components/markdown/PostImage';
+import PostNavigation from '../components/PostNavigation';
+import {
+  getPostBySlug,
+  getPostMarkdownUrl,
+  getPublishedPosts,
+  isPostLive,
+  stripFrontmatter,
+} from '../data/blogManifest';
+import { idFromHash, scrollToHeading } from '../lib/headings';
+import { createRehypePlugins, remarkPlugins, remarkRehypeOptions } from '../lib/postMarkdown';
+import { getPrerenderedMarkdown } from '../lib/prerenderData';
+import { getRelatedPosts } from '../lib/relatedPosts';
+import { blogPostingSchema } from '../lib/structuredData';
 import './BlogPostPage.css';
 import 'highlight.js/styles/atom-one-dark.css';
+import 'katex/dist/katex.min.css';
+
+const markdownComponents = {
+  h2: AnchoredHeading,
+  h3: AnchoredHeading,
+  h4: AnchoredHeading,
+  pre: CodeBlock,
+  blockquote: Callout,
+  img: PostImage,
+  a: FootnoteLink,
+  div: Directive,
+};
 
 const BlogPostPage = () => {
   const { slug } = useParams();
-  const [markdownContent, setMarkdownContent] = useState('');
-  const [loading, setLoading] = useState(true);
+  const [searchParams] = useSearchParams();
+  const { hash, state: locationState } = useLocation();
 
-  const post = blogPosts.find(p => p.id === slug);
+  const post = getPostBySlug(slug, { previewToken: searchParams.get('preview') });
+  const isDraftPreview = post && !isPostLive(post);
+  const imageSizes = post ? post.images : undefined;
+  const rehypePlugins = useMemo(() => createRehypePlugins(imageSizes), [imageSizes]);
+
+  // Prerendered pages carry their markdown, so the first render matches the server HTML.
+  const prerenderedMarkdown = post ? getPrerenderedMarkdown(post.id) : undefined;
+  const [markdownContent, setMarkdownContent] = useState(prerenderedMarkdown ?? '');
+  const [loading, setLoading] = useState(prerenderedMarkdown === undefined);
 
   useEffect(() => {
-    if (post) {
-      // Load markdown file
-      fetch(`/blogs/${post.markdownFile}`)
-        .then(response => response.text())
-        .then(text => {
-          setMarkdownContent(text);
+    if (!post) {
+      return undefined;
+    }
+
+    const prerendered = getPrerenderedMarkdown(post.id);
+    if (prerendered !== undefined) {
+      setMarkdownContent(prerendered);
+      setLoading(false);
+      return undefined;
+    }
+
+    // Set when the reader moves on to another post before this one has loaded
+    let ignore = false;
+    setLoading(true);
+    // Load markdown file
+    fetch(getPostMarkdownUrl(post))
+      .then(response => {
+        // A missing file comes back as a 404, or as the SPA's index.html from
+        // hosts that fall back to it with a 200
+        const contentType = response.headers.get('content-type') || '';
+        if (!response.ok || contentType.includes('text/html')) {
+          throw new Error(`Unexpected response for ${response.url}: ${response.status} ${contentType}`);
+        }
+        return response.text();
+      })
+      .then(text => {
+        if (!ignore) {
+          setMarkdownContent(stripFrontmatter(text));
           setLoading(false);
-        })
-        .catch(error => {
+        }
+      })
+      .catch(error => {
+        if (!ignore) {
           console.error('Error loading markdown:', error);
           setMarkdownContent('# Error loading article\n\nSorry, this article could not be loaded.');
           setLoading(false);
-        });
-    }
+        }
+      });
+
+    return () => {
+      ignore = true;
+    };
   }, [post]);
 
+  // Moving between posts keeps the window scrolled; start each one at the top
+  // unless a section was linked.
+  useEffect(() => {
+    if (!hash) {
+      window.scrollTo(0, 0);
+    }
+  }, [slug, hash]);
+
+  // The article is fetched after the route mounts, so the browser's own jump to
+  // the hash finds no target. Scroll once the headings have rendered instead.
+  useEffect(() => {
+    if (!loading && hash) {
+      scrollToHeading(idFromHash(hash), { behavior: 'auto' });
+    }
+  }, [loading, hash]);
+
   if (!post) {
     return (
       <div className="blog-post-page">
+        <Seo title="Article Not Found" path={`/blog/${slug}`} noIndex />
         <div className="container">
           <div className="not-found">
             <h1>Article Not Found</h1>
@@ -56,6 +140,18 @@ const BlogPostPage = () => {
 
   return (
     <div className="blog-post-page">
+      <Seo
+        title={post.title}
+        description={post.excerpt}
+        path={`/blog/${post.id}`}
+        article={{
+          publishedTime: post.publishAt || post.date,
+          modifiedTime: post.updated,
+          tags: post.tags,
+        }}
+        jsonLd={blogPostingSchema(post)}
+        noIndex={isDraftPreview}
+      />
       <div className="container">
         <Button asChild variant="ghost" className="back-button">
           <Link to="/blog">
@@ -64,47 +160,75 @@ const BlogPostPage = () => {
           </Link>
         </Button>
 
-        <article className="blog-post">
-          <header className="post-header">
-            <div className="post-meta">
-              <span className="meta-item">
-                <Calendar size={16} />
-                {post.date}
-              </span>
-              <span className="meta-item">
-                <Clock size={16} />
-                {post.readTime}
-              </span>
-            </div>
-            <h1 className="post-title">{post.title}</h1>
-            <p className="post-excerpt">{post.excerpt}</p>
-            <div className="post-tags">
-              {post.tags.map(tag => (
-                <Badge key={tag} variant="secondary">{tag}</Badge>
-              ))}
-            </div>
-          </header>
-
-          <div className="post-content">
-            {loading ? (
-              <div className="loading">Loading article...</div>
-            ) : (
-              <ReactMarkdown
-                remarkPlugins={[remarkGfm]}
-                rehypePlugins={[rehypeHighlight, rehypeRaw]}
-              >
-                {markdownContent}
-              </ReactMarkdown>
+        <div className="post-layout">
+          <article className="blog-post">
+            {isDraftPreview && (
+              <Alert className="draft-banner">
+                <Eye className="h-4 w-4" />
+                <AlertTitle>Draft preview</AlertTitle>
+                <AlertDescription>
+                  {post.published && post.publishAt
+                    ? `This post is scheduled to go live on ${new Date(post.publishAt).toLocaleString()}.`
+                    : 'This post is unpublished and only visible through this preview link.'}
+                </AlertDescription>
+              </Alert>
             )}
-          </div>
-        </article>
+
+            <header className="post-header">
+              <div className="post-meta">
+                <span className="meta-item">
+                  <Calendar size={16} />
+                  {post.date}
+                </span>
+                <span className="meta-item">
+                  <Clock size={16} />
+                  {post.readTime}
+                </span>
+                <span className="meta-item">
+                  <FileText size={16} />
+                  {post.wordCount.toLocaleString()} words
+                </span>
+              </div>
+              <h1 className="post-title">{post.title}</h1>
+              <p className="post-excerpt">{post.excerpt}</p>
+              <div className="post-tags">
+                {post.tags.map(tag => (
+                  <TagBadge key={tag} tag={tag} variant="secondary" />
+                ))}
+              </div>
+            </header>
+
+            <div className="post-content">
+              {loading ? (
+                <div className="loading">Loading article...</div>
+              ) : (
+                <ImageGalleryProvider>
+                  <ReactMarkdown
+                    remarkPlugins={remarkPlugins}
+                    remarkRehypeOptions={remarkRehypeOptions}
+                    rehypePlugins={rehypePlugins}
+                    components={markdownComponents}
+                  >
+                    {markdownContent}
+                  </ReactMarkdown>
+                </ImageGalleryProvider>
+              )}
+            </div>
+          </article>
+
+          <TableOfContents outline={post.outline} ready={!loading} />
+        </div>
+
+        <PostNavigation
+          post={post}
+          posts={getPublishedPosts()}
+          fromTag={locationState?.fromTag}
+        />
 
         <div className="post-footer">
           <h3>More Articles</h3>
           <div className="related-posts">
-            {blogPosts
-              .filter(p => p.id !== slug && p.published)
-              .slice(0, 3)
+            {getRelatedPosts(post, getPublishedPosts())
               .map(relatedPost => (
                 <Link key={relatedPost.id} to={`/blog/${relatedPost.id}`} className="related-post-link">
                   <div className="related-post">
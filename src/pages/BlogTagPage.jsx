@@ -0,0 +1,89 @@
+import React from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { CalendarDays } from 'lucide-react';
+import {
+  Breadcrumb,
+  BreadcrumbItem,
+  BreadcrumbLink,
+  BreadcrumbList,
+  BreadcrumbPage,
+  BreadcrumbSeparator,
+} from '../components/ui/breadcrumb';
+import { Button } from '../components/ui/button';
+import BlogNotFound from '../components/BlogNotFound';
+import PostCard from '../components/PostCard';
+import Seo from '../components/Seo';
+import SubscribeMenu from '../components/SubscribeMenu';
+import { getPublishedPosts, getTagBySlug } from '../data/blogManifest';
+import { formatPostCount } from '../lib/archive';
+import './BlogPage.css';
+
+const BlogTagPage = () => {
+  const { tag: slug } = useParams();
+  const tag = getTagBySlug(slug);
+  const posts = tag ? getPublishedPosts().filter(post => post.tags.includes(tag)) : [];
+  const path = `/blog/tag/${slug}`;
+
+  // Tags whose posts are all drafts or scheduled have no page yet
+  if (posts.length === 0) {
+    return (
+      <div className="blog-page">
+        <div className="container">
+          <BlogNotFound
+            title="Tag Not Found"
+            message="There are no published articles with this tag."
+            path={path}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  const count = formatPostCount(posts.length);
+
+  return (
+    <div className="blog-page">
+      <Seo
+        title={`Articles tagged “${tag}”`}
+        description={`${count} tagged ${tag}: ${posts.map(post => post.title).join('; ')}.`}
+        path={path}
+      />
+      <div className="container">
+        <div className="blog-header">
+          <Breadcrumb className="blog-breadcrumb">
+            <BreadcrumbList>
+              <BreadcrumbItem>
+                <BreadcrumbLink asChild>
+                  <Link to="/blog">Blog</Link>
+                </BreadcrumbLink>
+              </BreadcrumbItem>
+              <BreadcrumbSeparator />
+              <BreadcrumbItem>
+                <BreadcrumbPage>{tag}</BreadcrumbPage>
+              </BreadcrumbItem>
+            </BreadcrumbList>
+          </Breadcrumb>
+          <h1>{tag}</h1>
+          <p className="blog-subtitle">{count} tagged {tag}</p>
+          <div className="blog-subscribe">
+            <SubscribeMenu tag={tag} />
+            <Button asChild variant="outline" size="sm">
+              <Link to="/blog/archive">
+                <CalendarDays />
+                Archive
+              </Link>
+            </Button>
+          </div>
+        </div>
+
+        <div className="blog-list">
+          {posts.map(post => (
+            <PostCard key={post.id} post={post} linkState={{ fromTag: tag }} />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BlogTagPage;
@@ -2,6 +2,7 @@ import React from 'react';
 import { Github, Linkedin, Mail, MapPin } from 'lucide-react';
 import { Card, CardContent } from '../components/ui/card';
 import { Button } from '../components/ui/button';
+import Seo from '../components/Seo';
 import { profileData } from '../data/mockData';
 import './ContactPage.css';
 
@@ -32,6 +33,11 @@ const ContactPage = () => {
 
   return (
     <div className="contact-page">
+      <Seo
+        title="Contact"
+        description={`Get in touch with ${profileData.name} about backend engineering, system design or collaboration.`}
+        path="/contact"
+      />
       <div className="container">
         <div className="contact-header">
           <h1>Get in Touch</h1>
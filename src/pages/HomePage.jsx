@@ -4,11 +4,15 @@ import { ArrowRight, Code, Database, Server, Layers } from 'lucide-react';
 import { Button } from '../components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import { Badge } from '../components/ui/badge';
-import { profileData, blogPosts, projects } from '../data/mockData';
+import Seo from '../components/Seo';
+import TagBadge from '../components/TagBadge';
+import { profileData, projects } from '../data/mockData';
+import { getPublishedPosts } from '../data/blogManifest';
+import { personSchema } from '../lib/structuredData';
 import './HomePage.css';
 
 const HomePage = () => {
-  const featuredPosts = blogPosts.filter(post => post.published).slice(0, 3);
+  const featuredPosts = getPublishedPosts().slice(0, 3);
   const featuredProjects = projects.filter(project => project.featured).slice(0, 3);
 
   const interestIcons = {
@@ -20,6 +24,8 @@ const HomePage = () => {
 
   return (
     <div className="home-page">
+      <Seo path="/" description={profileData.bio} jsonLd={personSchema()} />
+
       {/* Hero Section */}
       <section className="hero-section">
         <div className="container">
@@ -123,7 +129,7 @@ const HomePage = () => {
                 <CardContent>
                   <div className="blog-tags">
                     {post.tags.map((tag) => (
-                      <Badge key={tag} variant="outline">{tag}</Badge>
+                      <TagBadge key={tag} tag={tag} />
                     ))}
                   </div>
                   <Link to={`/blog/${post.id}`} className="read-more">
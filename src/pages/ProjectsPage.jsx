@@ -1,14 +1,33 @@
-import React from 'react';
+import React, { useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
 import { ExternalLink, Github } from 'lucide-react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import { Badge } from '../components/ui/badge';
 import { Button } from '../components/ui/button';
-import { projects } from '../data/mockData';
+import Seo from '../components/Seo';
+import { profileData, projects } from '../data/mockData';
+import { idFromHash, scrollToHeading } from '../lib/headings';
+import { projectSchema } from '../lib/structuredData';
 import './ProjectsPage.css';
 
 const ProjectsPage = () => {
+  const { hash } = useLocation();
+
+  // Links such as /projects#distributed-cache (the command palette) land on the card
+  useEffect(() => {
+    if (hash) {
+      scrollToHeading(idFromHash(hash));
+    }
+  }, [hash]);
+
   return (
     <div className="projects-page">
+      <Seo
+        title="Projects"
+        description={`Projects by ${profileData.name}: ${projects.map(project => project.name).join(', ')}.`}
+        path="/projects"
+        jsonLd={projects.map(projectSchema)}
+      />
       <div className="container">
         <div className="projects-header">
           <h1>Projects</h1>
@@ -19,7 +38,7 @@ const ProjectsPage = () => {
 
         <div className="projects-grid-page">
           {projects.map(project => (
-            <Card key={project.id} className="project-card-page">
+            <Card key={project.id} id={project.id} className="project-card-page">
               <div className="project-image-page">
                 <img src={project.image} alt={project.name} />
                 {project.featured && (